@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+// auto-crop - the crop pipeline on local files and directories
+//
+//   auto-crop [crop|trim|split|extract] <file|dir>... (--out <dir> | --in-place) [options]
+//
+// Options are the HTTP form fields: --threshold 12, --format=webp,
+// --bgColor ffffff --bgColor f2f2f2, --preset studio. A boolean field on
+// its own is true (--matting), --no-<field> is false. Directories are
+// searched recursively for images.
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const autoCrop = require('../lib');
+const { Logger } = require('../lib/logger');
+const { IMAGE_FILE } = require('../lib/processing');
+const { CROP_FIELDS, EXTRACT_FIELDS, TRIM_FIELDS, SPLIT_FIELDS } = require('../lib/params');
+
+const USAGE = `Usage: auto-crop [crop|trim|split|extract] <file|dir>... (--out <dir> | --in-place) [options]
+
+  crop (default)      background removal + crop, one image per input
+  trim                uniform border trim, one image per input
+  split               one image per panel: <name>-r1c1.png, ... (<name>-left.png
+                      and <name>-right.png for two panels side by side)
+  extract             one image per object: <name>-object-01.png, ...
+
+  -o, --out <dir>     write results here; files found in a directory keep
+                      their sub-folders
+  --in-place          write results next to the inputs (a result with the
+                      same name replaces the input, other inputs are kept)
+  -j, --concurrency N images processed at a time (default: CPU count)
+  --json              one JSON line per input on stdout (outputs + metadata)
+  --verbose           pipeline log events (JSON) on stderr
+  -h, --help          this text
+
+  Any other --<field> is a field of the matching HTTP endpoint, see
+  GET /openapi.json: auto-crop --threshold auto --upscale 2 --format webp photos/ -o out/`;
+
+const without = (fields, ...names) => Object.fromEntries(Object.entries(fields).filter(([name]) => !names.includes(name)));
+
+// Fields that only shape the HTTP response are left out
+const COMMANDS = {
+  crop: {
+    fields: without(CROP_FIELDS, 'responseType'),
+    run: async (input, options, context) => {
+      const result = await autoCrop.crop(input, options, context);
+      return { result, outputs: [{ buffer: result.buffer, suffix: null }] };
+    }
+  },
+  trim: {
+    fields: TRIM_FIELDS,
+    run: async (input, options, context) => {
+      const result = await autoCrop.trim(input, options, context);
+      return { result, outputs: [{ buffer: result.buffer, suffix: null }] };
+    }
+  },
+  split: {
+    fields: without(SPLIT_FIELDS, 'output'),
+    run: async (input, options, context) => {
+      const result = await autoCrop.split(input, options, context);
+      return { result, outputs: result.panels.map(panel => ({ buffer: panel.buffer, suffix: panel.name })) };
+    }
+  },
+  extract: {
+    fields: without(EXTRACT_FIELDS, 'output'),
+    run: async (input, options, context) => {
+      const result = await autoCrop.extract(input, options, context);
+      return { result, outputs: result.objects.map(object => ({ buffer: object.buffer, suffix: object.name })) };
+    }
+  }
+};
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { command: 'crop', paths: [], options: {}, out: null, inPlace: false, concurrency: os.cpus().length, json: false, verbose: false, help: false };
+  if (COMMANDS[argv[0]]) args.command = argv.shift();
+  const { fields } = COMMANDS[args.command];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-') || arg === '-') {
+      args.paths.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const flag = eq === -1 ? arg : arg.slice(0, eq);
+    const inline = eq === -1 ? undefined : arg.slice(eq + 1);
+    const takeValue = () => {
+      if (inline !== undefined) return inline;
+      if (i + 1 >= argv.length) throw new UsageError(`${flag} needs a value`);
+      return argv[++i];
+    };
+
+    switch (flag) {
+      case '-h': case '--help': args.help = true; continue;
+      case '-o': case '--out': args.out = takeValue(); continue;
+      case '--in-place': args.inPlace = true; continue;
+      case '--json': args.json = true; continue;
+      case '--verbose': args.verbose = true; continue;
+      case '-j': case '--concurrency': {
+        const value = takeValue();
+        args.concurrency = parseInt(value);
+        if (!(args.concurrency >= 1)) throw new UsageError(`${flag} must be a whole number >= 1, got "${value}"`);
+        continue;
+      }
+    }
+
+    const name = flag.replace(/^--?/, '');
+    const negated = name.startsWith('no-') && fields[name.slice(3)] && fields[name.slice(3)].type === 'boolean';
+    const field = negated ? name.slice(3) : name;
+    if (!fields[field]) throw new UsageError(`Unknown option ${flag} for ${args.command}`);
+
+    let value;
+    if (negated) {
+      value = 'false';
+    } else if (fields[field].type === 'boolean' && inline === undefined) {
+      // --matting, or --matting false
+      const next = argv[i + 1];
+      value = next !== undefined && /^(true|false|1|0)$/i.test(next) ? argv[++i] : 'true';
+    } else {
+      value = takeValue();
+    }
+    // repeated fields (bgColor, bgPoint) collect like repeated form fields
+    const previous = args.options[field];
+    args.options[field] = previous === undefined ? value : [].concat(previous, value);
+  }
+  return args;
+}
+
+// Every input as { file, relative }: relative is the path kept under --out
+async function collectInputs(paths, outDir) {
+  const skip = outDir ? path.resolve(outDir) : null;
+  const inputs = [];
+  const seen = new Set();
+  const add = (file, relative) => {
+    const key = path.resolve(file);
+    if (seen.has(key)) return;
+    seen.add(key);
+    inputs.push({ file, relative });
+  };
+
+  async function walk(dir, root) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (path.resolve(file) !== skip) await walk(file, root);
+      } else if (entry.isFile() && IMAGE_FILE.test(entry.name)) {
+        add(file, path.relative(root, file));
+      }
+    }
+  }
+
+  for (const p of paths) {
+    let stat;
+    try {
+      stat = await fs.stat(p);
+    } catch (error) {
+      throw new UsageError(`Cannot read ${p}: ${error.code === 'ENOENT' ? 'no such file or directory' : error.message}`);
+    }
+    if (stat.isDirectory()) await walk(p, p);
+    else add(p, path.basename(p));
+  }
+  return inputs;
+}
+
+function outputPath(input, suffix, extension, args) {
+  const dir = args.out ? path.join(args.out, path.dirname(input.relative)) : path.dirname(input.file);
+  const base = path.basename(input.file, path.extname(input.file));
+  return path.join(dir, `${base}${suffix ? `-${suffix}` : ''}.${extension}`);
+}
+
+// temp file + rename: an input replaced in place is never left half-written
+async function writeOutput(file, buffer) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, buffer);
+  await fs.rename(tmp, file);
+}
+
+function describeError(error) {
+  if (error instanceof autoCrop.ParamsError) return error.errors.map(e => `--${e.field} ${e.message}`).join('\n');
+  // pipeline messages name their own position (pipeline[2].step ...), not a flag
+  if (error instanceof autoCrop.PipelineError) return error.errors.join('\n');
+  return error.message;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (args.paths.length === 0) throw new UsageError('No input files or directories');
+  if (Boolean(args.out) === args.inPlace) throw new UsageError('Pass either --out <dir> or --in-place');
+
+  const command = COMMANDS[args.command];
+  // Bad options fail once here, not once per image
+  await autoCrop.validateOptions(args.command, args.options);
+
+  const inputs = await collectInputs(args.paths, args.out);
+  if (inputs.length === 0) throw new UsageError('No images found');
+
+  autoCrop.configure({ workers: Math.min(args.concurrency, inputs.length) });
+  const log = args.verbose
+    ? new Logger({ level: process.env.LOG_LEVEL, redact: false, sink: entry => process.stderr.write(JSON.stringify(entry) + '\n') })
+    : undefined;
+
+  const startTime = Date.now();
+  let failed = 0;
+  let next = 0;
+
+  async function processInput(input) {
+    const fileStart = Date.now();
+    try {
+      const { result, outputs } = await command.run(input.file, args.options, { log: log && log.child({ file: input.file }) });
+      const written = [];
+      for (const output of outputs) {
+        const file = outputPath(input, output.suffix, result.extension, args);
+        await writeOutput(file, output.buffer);
+        written.push(file);
+      }
+      const durationMs = Date.now() - fileStart;
+      if (args.json) {
+        // metadata without the image bytes
+        const metadata = JSON.parse(JSON.stringify(result, (key, value) => (key === 'buffer' ? undefined : value)));
+        console.log(JSON.stringify({ file: input.file, status: 'ok', outputs: written, durationMs, ...metadata }));
+      } else {
+        const target = written.length === 1 ? written[0] : `${written.length} files${written.length ? ` in ${path.dirname(written[0])}` : ''}`;
+        console.error(`✅ ${input.file} → ${target} (${durationMs} ms)`);
+      }
+    } catch (error) {
+      failed++;
+      // fields that only fail on this image (a grid larger than it) are listed too
+      const message = describeError(error);
+      if (args.json) console.log(JSON.stringify({ file: input.file, status: 'error', error: message }));
+      else console.error(`❌ ${input.file}: ${message}`);
+    }
+  }
+
+  // concurrency lanes pulling from one list
+  const lanes = Array.from({ length: Math.min(args.concurrency, inputs.length) }, async () => {
+    while (next < inputs.length) await processInput(inputs[next++]);
+  });
+  await Promise.all(lanes);
+  autoCrop.close();
+
+  console.error(`📦 ${inputs.length} image(s): ${inputs.length - failed} ok, ${failed} failed (${((Date.now() - startTime) / 1000).toFixed(1)} s)`);
+  return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, error => {
+  if (error instanceof UsageError) {
+    console.error(`auto-crop: ${error.message}\n\n${USAGE}`);
+  } else if (error instanceof autoCrop.ParamsError || error instanceof autoCrop.PipelineError) {
+    console.error(`auto-crop: invalid options\n${describeError(error)}`);
+  } else {
+    console.error(`auto-crop: ${error.message}`);
+  }
+  process.exitCode = 2;
+});
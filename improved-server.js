@@ -1,14 +1,80 @@
 const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
-const sharp = require('sharp');
 const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const AdmZip = require('adm-zip');
+const { WorkerPool, PoolFullError } = require('./lib/worker-pool');
+const { PresetStore, validatePreset, normalizeParams } = require('./lib/presets');
+const { PipelineError, rgbToHex, MASK_LEVELS } = require('./lib/pipeline');
+const { ImageInputError, parseHostAllowlist, isHostAllowed, decodeBase64Image, fetchImage } = require('./lib/image-input');
+const { deliverWebhook } = require('./lib/webhooks');
+const { ResultCache } = require('./lib/result-cache');
+const { Registry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { logger } = require('./lib/logger');
+const { ParamsError, validateParams, CALLBACK_FIELDS } = require('./lib/params');
+const {
+  IMAGE_FILE,
+  parseCropParams,
+  parseExtractParams,
+  parseTrimParams,
+  parseSplitParams,
+  stepParamsHex,
+  stepTimer,
+  renderCrop,
+  cropMetadata,
+  processExtract,
+  processAnalyze,
+  processTrim,
+  processSplit
+} = require('./lib/processing');
+const { buildOpenApi } = require('./lib/openapi');
+const { ApiKeyStore, UsageTracker } = require('./lib/api-keys');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Largest accepted image, uploaded or sent as imageBase64 / imageUrl
+const MAX_IMAGE_BYTES = 50 * 1024 * 1024;
+
+// ============================================
+// REQUEST IDS + LOGGING
+// ============================================
+// Logs are JSON lines (lib/logger.js; LOG_LEVEL, LOG_REDACT_PATHS).
+// Every request gets an id - the caller's X-Request-Id when it looks sane,
+// else a new UUID - echoed in the X-Request-Id response header. req.log
+// adds it to every event of the request, worker pipeline steps and jobs
+// started by the request included.
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+  
+  const startedAt = performance.now();
+  res.on('close', () => {
+    // closed before a response was sent: 499 like trackRequest
+    const status = res.writableFinished ? res.statusCode : 499;
+    req.log.log(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', '🏁 Request done', {
+      method: req.method,
+      path: req.path,
+      status,
+      durationMs: Math.round(performance.now() - startedAt)
+    });
+  });
+  next();
+});
+
 app.use(cors());
-app.use(express.json());
-app.use(express.static('.'));
+// imageBase64 bodies are ~4/3 of the image size
+app.use(express.json({ limit: Math.ceil(MAX_IMAGE_BYTES * 1.4) }));
+// The web UI is the only file served: data/ (presets, usage, cached
+// results), uploads/ and the sources stay private
+app.get(['/', '/index.html'], (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
 
 // Timeout (3 min)
 app.use((req, res, next) => {
@@ -19,905 +85,642 @@ app.use((req, res, next) => {
 
 const upload = multer({ 
   dest: 'uploads/',
-  limits: { fileSize: 50 * 1024 * 1024 }
+  limits: { fileSize: MAX_IMAGE_BYTES }
 });
 
 fs.mkdir('uploads', { recursive: true });
 
 // ============================================
-// COLOR SCIENCE - CIE Lab
+// IMAGE INPUT - MULTIPART, BASE64 OR URL
 // ============================================
-
-function srgbToLinear(c) {
-  c = c / 255;
-  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-}
-
-function linearRgbToXyz(r, g, b) {
-  return {
-    x: r * 0.4124564 + g * 0.3575761 + b * 0.1804375,
-    y: r * 0.2126729 + g * 0.7151522 + b * 0.0721750,
-    z: r * 0.0193339 + g * 0.1191920 + b * 0.9503041
-  };
-}
-
-function xyzToLab(x, y, z) {
-  const xn = 0.95047, yn = 1.00000, zn = 1.08883;
-  function f(t) {
-    return t > 0.008856 ? Math.cbrt(t) : (903.3 * t + 16) / 116;
+// /crop, /trim and /split take the 'image' upload as before, or an
+// application/json body with imageBase64 or imageUrl next to the usual
+// fields. JSON images are written to uploads/ like multer files, so the
+// routes see the same req.file and unlink it the same way.
+// IMAGE_URL_HOSTS: allowed hosts for imageUrl (empty = imageUrl disabled)
+// IMAGE_URL_MAX_BYTES / IMAGE_URL_TIMEOUT_MS: download size and time limits
+
+const IMAGE_URL_HOSTS = parseHostAllowlist(process.env.IMAGE_URL_HOSTS);
+const IMAGE_URL_MAX_BYTES = Math.min(MAX_IMAGE_BYTES, parseInt(process.env.IMAGE_URL_MAX_BYTES) || MAX_IMAGE_BYTES);
+const IMAGE_URL_TIMEOUT_MS = parseInt(process.env.IMAGE_URL_TIMEOUT_MS) || 15000;
+
+async function loadJsonImage({ imageBase64, imageUrl }, log) {
+  if (imageBase64 !== undefined && imageUrl !== undefined) {
+    throw new ImageInputError(400, 'Invalid image input', 'Send either imageBase64 or imageUrl, not both');
   }
-  const fx = f(x / xn), fy = f(y / yn), fz = f(z / zn);
-  return {
-    L: 116 * fy - 16,
-    a: 500 * (fx - fy),
-    b: 200 * (fy - fz)
-  };
-}
-
-function rgbToLab(r, g, b) {
-  const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
-  const xyz = linearRgbToXyz(lr, lg, lb);
-  return xyzToLab(xyz.x, xyz.y, xyz.z);
+  let buffer, originalname = 'image';
+  if (imageBase64 !== undefined) {
+    buffer = decodeBase64Image(imageBase64, MAX_IMAGE_BYTES);
+  } else {
+    buffer = await fetchImage(imageUrl, {
+      allowlist: IMAGE_URL_HOSTS,
+      maxBytes: IMAGE_URL_MAX_BYTES,
+      timeoutMs: IMAGE_URL_TIMEOUT_MS
+    });
+    originalname = path.basename(new URL(imageUrl).pathname) || 'image';
+    log.info('🌐 Image fetched', { host: new URL(imageUrl).host, bytes: buffer.length });
+  }
+  const filePath = path.join('uploads', crypto.randomBytes(16).toString('hex'));
+  await fs.writeFile(filePath, buffer);
+  return { fieldname: 'image', originalname, path: filePath, size: buffer.length };
 }
 
-// CIE76 Delta E
-const labCache = new Map();
-function deltaE76Fast(r1, g1, b1, r2, g2, b2) {
-  const key1 = (r1 << 16) | (g1 << 8) | b1;
-  let lab1 = labCache.get(key1);
-  if (!lab1) { lab1 = rgbToLab(r1, g1, b1); labCache.set(key1, lab1); }
+function imageInput(req, res, next) {
+  if (!req.is('application/json')) return upload.single('image')(req, res, next);
   
-  const key2 = (r2 << 16) | (g2 << 8) | b2;
-  let lab2 = labCache.get(key2);
-  if (!lab2) { lab2 = rgbToLab(r2, g2, b2); labCache.set(key2, lab2); }
+  // The other fields get the same string form as multipart ones
+  const { imageBase64, imageUrl, ...fields } = req.body || {};
+  req.body = normalizeParams(fields);
+  if (imageBase64 === undefined && imageUrl === undefined) return next();
   
-  return Math.sqrt(
-    (lab1.L - lab2.L) ** 2 +
-    (lab1.a - lab2.a) ** 2 +
-    (lab1.b - lab2.b) ** 2
-  );
+  loadJsonImage({ imageBase64, imageUrl }, req.log).then(file => {
+    req.file = file;
+    next();
+  }, error => {
+    if (error instanceof ImageInputError) {
+      req.log.warn(`🌐 ${error.message}`, { status: error.status, details: error.details });
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    req.log.error('❌ Image input failed', { error });
+    res.status(500).json({ error: 'Failed to read image', details: error.message });
+  });
 }
 
+// Crop worker pool - pixel loops run here instead of on the event loop
+// CROP_WORKERS: pool size, CROP_QUEUE_MAX: waiting requests before 503,
+// CROP_RETRY_AFTER: Retry-After seconds sent with the 503
+const cropPool = new WorkerPool(path.join(__dirname, 'lib', 'crop-worker.js'), {
+  size: Math.max(1, parseInt(process.env.CROP_WORKERS) || os.cpus().length),
+  maxQueue: Math.max(0, parseInt(process.env.CROP_QUEUE_MAX) || 16),
+  retryAfter: parseInt(process.env.CROP_RETRY_AFTER) || 10
+});
+
 // ============================================
-// BACKGROUND DETECTION
+// METRICS (GET /metrics, Prometheus text format)
 // ============================================
+// trackRequest(endpoint) counts requests, errors (status >= 400), in-flight
+// requests and latency; routes put the input size in res.locals.inputPixels.
+// processCrop feeds every pipeline step into the step duration histogram.
+
+const metrics = new Registry();
+const requestsTotal = metrics.counter({
+  name: 'autocrop_requests_total',
+  help: 'Requests received, by endpoint',
+  labelNames: ['endpoint']
+});
+const requestErrorsTotal = metrics.counter({
+  name: 'autocrop_request_errors_total',
+  help: 'Requests answered with status >= 400, by endpoint and status',
+  labelNames: ['endpoint', 'status']
+});
+const requestsInFlight = metrics.gauge({
+  name: 'autocrop_requests_in_flight',
+  help: 'Requests currently being processed, by endpoint',
+  labelNames: ['endpoint']
+});
+const requestDuration = metrics.histogram({
+  name: 'autocrop_request_duration_seconds',
+  help: 'Total request latency, upload included',
+  labelNames: ['endpoint'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 180]
+});
+const inputMegapixels = metrics.histogram({
+  name: 'autocrop_input_megapixels',
+  help: 'Input image size in megapixels (before upscale)',
+  labelNames: ['endpoint'],
+  buckets: [0.25, 0.5, 1, 2, 4, 8, 12, 16, 24, 50]
+});
+const stepDuration = metrics.histogram({
+  name: 'autocrop_step_duration_seconds',
+  help: 'Duration of each /crop pipeline step (load, flood-fill, islands, transition-zone, matting, dilation, anti-alias, encode, ...)',
+  labelNames: ['step'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
 
-function detectBackgroundColor(data, width, height, channels) {
-  const edgePixels = [];
-  const sampleStep = Math.max(1, Math.floor(Math.min(width, height) / 100));
-  
-  for (let x = 0; x < width; x += sampleStep) {
-    edgePixels.push(getPixelAt(data, x, 0, width, channels));
-    edgePixels.push(getPixelAt(data, x, height - 1, width, channels));
-  }
-  for (let y = 0; y < height; y += sampleStep) {
-    edgePixels.push(getPixelAt(data, 0, y, width, channels));
-    edgePixels.push(getPixelAt(data, width - 1, y, width, channels));
-  }
-  
-  // Cluster edge pixels - most common color
-  const colorMap = new Map();
-  for (const px of edgePixels) {
-    const qr = Math.round(px.r / 8) * 8;
-    const qg = Math.round(px.g / 8) * 8;
-    const qb = Math.round(px.b / 8) * 8;
-    const key = `${qr},${qg},${qb}`;
-    if (!colorMap.has(key)) colorMap.set(key, { r: 0, g: 0, b: 0, count: 0 });
-    const entry = colorMap.get(key);
-    entry.r += px.r; entry.g += px.g; entry.b += px.b; entry.count++;
-  }
-  
-  let maxCount = 0, bestCluster = null;
-  for (const entry of colorMap.values()) {
-    if (entry.count > maxCount) {
-      maxCount = entry.count;
-      bestCluster = entry;
-    }
-  }
-  
-  return {
-    r: Math.round(bestCluster.r / bestCluster.count),
-    g: Math.round(bestCluster.g / bestCluster.count),
-    b: Math.round(bestCluster.b / bestCluster.count)
+function trackRequest(endpoint) {
+  requestsTotal.inc({ endpoint }, 0);
+  requestsInFlight.set({ endpoint }, 0);
+  return (req, res, next) => {
+    const startedAt = performance.now();
+    requestsTotal.inc({ endpoint });
+    requestsInFlight.inc({ endpoint });
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      requestsInFlight.dec({ endpoint });
+      requestDuration.observe({ endpoint }, (performance.now() - startedAt) / 1000);
+      // closed before a response was sent counts as an error too
+      const status = res.writableFinished ? res.statusCode : 499;
+      if (status >= 400) requestErrorsTotal.inc({ endpoint, status });
+      if (res.locals.inputPixels) inputMegapixels.observe({ endpoint }, res.locals.inputPixels / 1e6);
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
   };
 }
 
-function getPixelAt(data, x, y, width, channels) {
-  const idx = (y * width + x) * channels;
-  return { r: data[idx], g: data[idx + 1], b: data[idx + 2] };
+// Returns timings unchanged after recording them
+function recordStepTimings(timings) {
+  for (const { step, ms } of timings) stepDuration.observe({ step }, ms / 1000);
+  return timings;
 }
 
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
 // ============================================
-// FLOOD-FILL BACKGROUND REMOVAL
+// API KEYS + QUOTAS
 // ============================================
-
-function floodFillBackground(data, width, height, channels, bgColor, threshold) {
-  const totalPixels = width * height;
-  const mask = new Uint8Array(totalPixels); // 0=unknown, 1=background, 2=foreground
-  
-  const bgLab = rgbToLab(bgColor.r, bgColor.g, bgColor.b);
-  
-  // BFS queue - start from all edge pixels
-  const queue = [];
-  
-  // Add edge pixels to queue
-  for (let x = 0; x < width; x++) {
-    queue.push(x); // top row
-    queue.push((height - 1) * width + x); // bottom row
-  }
-  for (let y = 1; y < height - 1; y++) {
-    queue.push(y * width); // left col
-    queue.push(y * width + width - 1); // right col
-  }
-  
-  // Mark edge pixels that match bg
-  const initialQueue = [];
-  for (const pixelIdx of queue) {
-    const dataIdx = pixelIdx * channels;
-    const r = data[dataIdx], g = data[dataIdx + 1], b = data[dataIdx + 2];
-    const dist = deltaE76Fast(r, g, b, bgColor.r, bgColor.g, bgColor.b);
-    
-    if (dist <= threshold) {
-      mask[pixelIdx] = 1;
-      initialQueue.push(pixelIdx);
-    }
-  }
-  
-  // BFS flood fill
-  let head = 0;
-  const bfsQueue = initialQueue;
-  const dx = [-1, 1, 0, 0];
-  const dy = [0, 0, -1, 1];
-  
-  while (head < bfsQueue.length) {
-    const idx = bfsQueue[head++];
-    const x = idx % width;
-    const y = Math.floor(idx / width);
-    
-    for (let d = 0; d < 4; d++) {
-      const nx = x + dx[d];
-      const ny = y + dy[d];
-      
-      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-      
-      const nIdx = ny * width + nx;
-      if (mask[nIdx] !== 0) continue;
-      
-      const nDataIdx = nIdx * channels;
-      const r = data[nDataIdx], g = data[nDataIdx + 1], b = data[nDataIdx + 2];
-      const dist = deltaE76Fast(r, g, b, bgColor.r, bgColor.g, bgColor.b);
-      
-      if (dist <= threshold) {
-        mask[nIdx] = 1;
-        bfsQueue.push(nIdx);
-      }
-    }
-  }
-  
-  return mask;
+// API_KEYS_FILE (JSON, see lib/api-keys.js) turns authentication on; without
+// it the API stays open. Keys are sent as X-API-Key or Authorization: Bearer.
+// apiKeyAuth() guards the processing routes: 401 without a known key, 429
+// over requestsPerMinute or concurrentJobs (requests + queued/running jobs),
+// 403 once megapixelsPerDay is used up. A request that starts under the
+// quota runs to completion and is charged the megapixels it processed
+// (res.locals.processedPixels, else inputPixels: upscale counts).
+// apiKeyAuth({ metered: false }) only checks the key (job status, presets).
+// USAGE_FILE (default data/usage.json) keeps the daily megapixels.
+
+const apiKeys = new ApiKeyStore(process.env.API_KEYS_FILE);
+const usage = new UsageTracker(process.env.USAGE_FILE || path.join(__dirname, 'data', 'usage.json'));
+
+function presentedApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : null;
 }
 
-// Interior island detection
-function removeInteriorIslands(data, mask, width, height, channels, bgColor, threshold, minIslandSize) {
-  const totalPixels = width * height;
-  const visited = new Uint8Array(totalPixels);
-  let removed = 0;
-  
-  for (let i = 0; i < totalPixels; i++) {
-    if (mask[i] !== 0 || visited[i]) continue;
+function apiKeyAuth({ metered = true } = {}) {
+  return (req, res, next) => {
+    if (!apiKeys.enabled) return next();
     
-    const dataIdx = i * channels;
-    const r = data[dataIdx], g = data[dataIdx + 1], b = data[dataIdx + 2];
-    const dist = deltaE76Fast(r, g, b, bgColor.r, bgColor.g, bgColor.b);
-    
-    if (dist > threshold) {
-      visited[i] = 1;
-      continue;
+    const presented = presentedApiKey(req);
+    const key = apiKeys.find(presented);
+    if (!key) {
+      req.log.warn('🔑 API key rejected', { sent: Boolean(presented) });
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        error: presented ? 'Invalid API key' : 'API key required',
+        details: 'Send the key as X-API-Key or Authorization: Bearer <key>'
+      });
     }
+    req.apiKey = key;
+    req.log = req.log.child({ apiKey: key.name });
+    if (!metered) return next();
     
-    // BFS to find connected region of bg-colored unmasked pixels
-    const region = [i];
-    const regionQueue = [i];
-    visited[i] = 1;
-    let head = 0;
-    
-    while (head < regionQueue.length) {
-      const idx = regionQueue[head++];
-      const x = idx % width;
-      const y = Math.floor(idx / width);
-      
-      const neighbors = [
-        y > 0 ? idx - width : -1,
-        y < height - 1 ? idx + width : -1,
-        x > 0 ? idx - 1 : -1,
-        x < width - 1 ? idx + 1 : -1
-      ];
-      
-      for (const nIdx of neighbors) {
-        if (nIdx < 0 || visited[nIdx] || mask[nIdx] !== 0) continue;
-        
-        const nDataIdx = nIdx * channels;
-        const nr = data[nDataIdx], ng = data[nDataIdx + 1], nb = data[nDataIdx + 2];
-        const nDist = deltaE76Fast(nr, ng, nb, bgColor.r, bgColor.g, bgColor.b);
-        
-        if (nDist <= threshold * 1.2) {
-          visited[nIdx] = 1;
-          region.push(nIdx);
-          regionQueue.push(nIdx);
-        } else {
-          visited[nIdx] = 1;
-        }
-      }
+    const refused = usage.admit(key);
+    if (refused) {
+      req.log.warn(`🚦 ${refused.error}`, { details: refused.details });
+      res.set('Retry-After', String(refused.retryAfter));
+      return res.status(refused.status).json({ error: refused.error, details: refused.details, retryAfter: refused.retryAfter });
     }
     
-    if (region.length >= minIslandSize) {
-      for (const idx of region) {
-        mask[idx] = 1;
-        removed++;
-      }
-    }
-  }
-  
-  return removed;
+    usage.acquire(key.name);
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      usage.release(key.name);
+      usage.charge(key.name, (res.locals.processedPixels ?? res.locals.inputPixels ?? 0) / 1e6);
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
+  };
 }
 
-// ============================================
-// POST-PROCESSING
-// ============================================
+const authorize = apiKeyAuth();
+const authenticate = apiKeyAuth({ metered: false });
 
-function findEdgePixels(mask, width, height) {
-  const edges = new Set();
-  
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = y * width + x;
-      if (mask[idx] !== 1) continue; // not bg
-      
-      const neighbors = [
-        y > 0 ? idx - width : -1,
-        y < height - 1 ? idx + width : -1,
-        x > 0 ? idx - 1 : -1,
-        x < width - 1 ? idx + 1 : -1
-      ];
-      
-      for (const nIdx of neighbors) {
-        if (nIdx >= 0 && mask[nIdx] === 0) {
-          edges.add(nIdx);
-        }
-      }
-    }
-  }
-  
-  return edges;
+// Limits and today's consumption of the calling key
+app.get('/usage', authenticate, (req, res) => {
+  if (!apiKeys.enabled) return res.status(404).json({ error: 'API keys are not enabled', details: 'Set API_KEYS_FILE' });
+  res.json(usage.report(req.apiKey));
+});
+
+function sendPoolFull(res, error) {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(503).json({ error: 'Server busy', details: error.message, retryAfter: error.retryAfter });
 }
 
-function applyTransitionZone(data, mask, width, height, channels, bgColor, edgeZoneRadius, edgePixels) {
-  const result = Buffer.from(data);
-  const hasAlpha = channels >= 4;
-  const totalPixels = width * height;
+// Content-Type + download name for an encoded image (params.format)
+function imageHeaders(name, format) {
+  return {
+    'Content-Type': format.mime,
+    'Content-Disposition': `attachment; filename="${name}.${format.ext}"`
+  };
+}
 
-  // Build distance-from-bg map via BFS (fg pixels only)
-  // edgeZoneRadius controls how many pixels deep the fade goes
-  const distMap = new Int16Array(totalPixels).fill(-1);
+// ============================================
+// HEALTH CHECK
+// ============================================
 
-  // Seed: direct edge pixels (fg pixels adjacent to bg) = distance 1
-  for (const idx of edgePixels) {
-    distMap[idx] = 1;
-  }
+// GET / is the web UI
+function serviceStatus(req, res) {
+  res.json({ 
+    status: 'ok',
+    service: 'Yerlikaya Auto Crop API',
+    version: '3.2.0',
+    endpoints: {
+      crop: 'POST /crop - Background removal + auto crop (flood-fill)',
+      cropBatch: 'POST /crop/batch - Many images (or ZIP) through /crop, returns ZIP + manifest.json',
+      extract: 'POST /extract - Every foreground object as its own transparent image (ZIP or JSON)',
+      analyze: 'POST /analyze - Background, coverage, border contact, suggested threshold and confidence as JSON (no image)',
+      trim: 'POST /trim - Simple whitespace trim',
+      split: 'POST /split - Split into panels (auto gutter detection, halves or grid:RxC) + auto trim',
+      jobs: 'POST /jobs - Queue a crop/trim/split/extract job, poll GET /jobs/:id, download GET /jobs/:id/result (callbackUrl = POST when done)',
+      presets: 'GET/POST /presets, GET/PUT/DELETE /presets/:name - Named /crop parameter sets (use preset=<name>)',
+      usage: 'GET /usage - Limits and today\'s consumption of your API key (when API_KEYS_FILE is set)',
+      metrics: 'GET /metrics - Prometheus metrics (requests, errors, latency, megapixels, /crop step durations)',
+      openapi: 'GET /openapi.json - OpenAPI 3 schema of every /crop, /extract, /analyze, /trim and /split field'
+    },
+    workers: cropPool.stats(),
+    cache: resultCache.stats(),
+    auth: apiKeys.enabled ? 'api-key' : 'none'
+  });
+}
 
-  // BFS outward into fg for edgeZoneRadius layers
-  const queue = [...edgePixels];
-  let head = 0;
-  const dx = [-1, 1, 0, 0];
-  const dy = [0, 0, -1, 1];
-
-  while (head < queue.length) {
-    const idx = queue[head++];
-    const d = distMap[idx];
-    if (d >= edgeZoneRadius) continue;
-
-    const x = idx % width;
-    const y = Math.floor(idx / width);
-
-    for (let k = 0; k < 4; k++) {
-      const nx = x + dx[k], ny = y + dy[k];
-      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-      const nIdx = ny * width + nx;
-      if (mask[nIdx] === 1) continue; // skip bg
-      if (distMap[nIdx] !== -1) continue; // already visited
-      distMap[nIdx] = d + 1;
-      queue.push(nIdx);
-    }
-  }
+app.get('/status', serviceStatus);
 
-  // Apply transparency and fade
-  for (let i = 0; i < totalPixels; i++) {
-    const dataIdx = i * channels;
+// Field types, ranges and defaults from lib/params.js (what the routes validate)
+const openApiDocument = buildOpenApi({ version: '3.2.0', serverUrl: process.env.PUBLIC_URL });
 
-    if (mask[i] === 1) {
-      // Background: fully transparent
-      if (hasAlpha) result[dataIdx + 3] = 0;
-      continue;
-    }
+app.get('/openapi.json', (req, res) => res.json(openApiDocument));
 
-    const d = distMap[i];
-    if (d === -1) continue; // deep fg, fully opaque — untouched
+// ============================================
+// /crop - FLOOD-FILL BACKGROUND REMOVAL + CROP
+// ============================================
 
-    // d=1 (direct edge) → more transparent, d=edgeZoneRadius → nearly opaque
-    // Linear fade: alpha = (d / edgeZoneRadius) * 255
-    const alpha = Math.round((d / edgeZoneRadius) * 255);
-    if (hasAlpha) result[dataIdx + 3] = Math.min(result[dataIdx + 3], alpha);
-  }
+function sendPipelineError(res, error) {
+  res.status(400).json({ error: 'Invalid pipeline', details: error.errors });
+}
 
-  return result;
+// details: [{ field, message }] for every rejected field
+function sendParamsError(res, error) {
+  res.status(400).json({ error: 'Invalid parameters', details: error.errors });
 }
 
-function colorDecontaminate(data, mask, width, height, channels, bgColor, edgePixels) {
-  if (channels < 4) return data;
-  
-  const result = Buffer.from(data);
-  
-  for (const idx of edgePixels) {
-    const dataIdx = idx * channels;
-    const alpha = result[dataIdx + 3];
-    
-    if (alpha === 0 || alpha === 255) continue;
-    
-    const a = alpha / 255;
-    const r = result[dataIdx], g = result[dataIdx + 1], b = result[dataIdx + 2];
-    
-    // Un-premultiply background contamination
-    result[dataIdx]     = Math.min(255, Math.max(0, Math.round((r - bgColor.r * (1 - a)) / a)));
-    result[dataIdx + 1] = Math.min(255, Math.max(0, Math.round((g - bgColor.g * (1 - a)) / a)));
-    result[dataIdx + 2] = Math.min(255, Math.max(0, Math.round((b - bgColor.b * (1 - a)) / a)));
-  }
-  
-  return result;
+// preset=<name> loads the stored fields; fields sent with the request win
+// Returns null when the named preset does not exist
+async function resolveCropBody(body) {
+  if (!body.preset) return body;
+  const preset = await presetStore.get(body.preset);
+  if (!preset) return null;
+  const { preset: _name, ...explicit } = body;
+  return { ...preset.params, ...explicit };
 }
 
-// ============================================
-// ALPHA SOFTENING (Gaussian blur on alpha channel)
-// ============================================
+// Parsed /crop parameters as log fields
+function cropLogFields(p) {
+  return {
+    threshold: p.threshold,
+    colorMetric: p.colorMetric,
+    edgeThreshold: p.edgeThreshold,
+    bgModel: p.bgModel,
+    ...(p.background && {
+      bgColor: p.background.colors.map(rgbToHex),
+      bgPoint: p.background.points.map(pt => `${pt.x},${pt.y}`)
+    }),
+    upscale: p.upscaleFactor,
+    minIslandSize: p.minIslandSize * p.upscaleFactor * p.upscaleFactor,
+    pipeline: p.pipeline.map(({ step, params }) => ({ step, params: stepParamsHex(params) })),
+    output: p.output,
+    format: p.format.type
+  };
+}
 
-function alphaGaussianBlur(data, width, height, channels, radius) {
-  if (radius <= 0) return data;
-  const result = Buffer.from(data);
-  const sigma = radius / 2;
-  const size = radius * 2 + 1;
-  
-  // Build 1D Gaussian kernel
-  const kernel = [];
-  let kernelSum = 0;
-  for (let i = 0; i < size; i++) {
-    const x = i - radius;
-    const val = Math.exp(-(x * x) / (2 * sigma * sigma));
-    kernel.push(val);
-    kernelSum += val;
-  }
-  for (let i = 0; i < size; i++) kernel[i] /= kernelSum;
-  
-  // Horizontal pass on alpha
-  const temp = Buffer.from(data);
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = (y * width + x) * channels;
-      if (data[idx + 3] === 255) continue; // skip fully opaque - perf
-      let sum = 0;
-      for (let k = 0; k < size; k++) {
-        const nx = Math.min(width - 1, Math.max(0, x + k - radius));
-        sum += data[(y * width + nx) * channels + 3] * kernel[k];
-      }
-      temp[idx + 3] = Math.round(sum);
-    }
-  }
-  
-  // Vertical pass on alpha
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = (y * width + x) * channels;
-      if (temp[idx + 3] === 255) continue;
-      let sum = 0;
-      for (let k = 0; k < size; k++) {
-        const ny = Math.min(height - 1, Math.max(0, y + k - radius));
-        sum += temp[(ny * width + x) * channels + 3] * kernel[k];
-      }
-      result[idx + 3] = Math.round(sum);
+// Result cache: RESULT_CACHE_DIR (default data/cache), bounded by
+// RESULT_CACHE_MAX_BYTES (default 512MB, 0 = off)
+const resultCache = new ResultCache(
+  process.env.RESULT_CACHE_DIR || path.join(__dirname, 'data', 'cache'),
+  parseInt(process.env.RESULT_CACHE_MAX_BYTES ?? 512 * 1024 * 1024) || 0
+);
+
+// Parameters that change the output (responseType only changes the envelope)
+function cacheParams({ responseType, ...params }) {
+  return params;
+}
+
+// Runs the flood-fill pipeline on one image (file path or buffer)
+// Returns the trimmed PNG plus the detected background color, the trim
+// rectangle (original coordinates), pixel counts and step timings;
+// cache = hit | miss | off
+// onStep(name) is called as each pipeline step starts
+// rejectWhenFull=false waits for a worker even when the pool queue is full
+// log: the request's logger; every step and the outcome are logged with it
+async function processCrop(input, params, { onStep = () => {}, rejectWhenFull = true, log = logger } = {}) {
+  const timer = stepTimer(onStep);
+  let result;
+  if (!resultCache.enabled) {
+    result = { ...await renderCrop(input, params, { pool: cropPool, timer, rejectWhenFull, log }), cache: 'off' };
+  } else {
+    timer.step('cache');
+    const inputBuffer = Buffer.isBuffer(input) ? input : await fs.readFile(input);
+    const key = ResultCache.key(inputBuffer, cacheParams(params));
+    const hit = await resultCache.get(key);
+    if (hit) {
+      result = { buffer: hit.buffer, ...hit.meta, cache: 'hit' };
+    } else {
+      const { buffer, ...meta } = await renderCrop(inputBuffer, params, { pool: cropPool, timer, rejectWhenFull, log });
+      await resultCache.set(key, buffer, meta).catch(error => log.warn('🗄️ Cache write failed', { error }));
+      result = { buffer, ...meta, cache: 'miss' };
     }
   }
+  result.timings = recordStepTimings(timer.done());
   
+  log.info('✅ Crop done', {
+    cache: result.cache,
+    background: rgbToHex(result.bgColor),
+    bgModel: result.bgModel,
+    threshold: result.threshold,
+    ...result.stats,
+    trim: result.trim,
+    format: result.format.type,
+    bytes: result.buffer.length,
+    timings: result.timings
+  });
   return result;
 }
 
-// Alpha feather: gradually fade alpha near edges (distance-based)
-// Alpha dilation: expand alpha outward (opposite of erosion)
-// Recovers thin edges lost during processing
-function alphaDilation(data, width, height, channels, radius) {
-  if (radius <= 0) return data;
-  const result = Buffer.from(data);
-  
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = (y * width + x) * channels;
-      if (result[idx + 3] === 255) continue; // already fully opaque
-      
-      let maxAlpha = data[idx + 3];
-      
-      for (let dy = -radius; dy <= radius; dy++) {
-        for (let dx = -radius; dx <= radius; dx++) {
-          if (dx * dx + dy * dy > radius * radius) continue; // circle
-          const nx = x + dx, ny = y + dy;
-          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-          const nAlpha = data[(ny * width + nx) * channels + 3];
-          if (nAlpha > maxAlpha) maxAlpha = nAlpha;
-        }
-      }
-      result[idx + 3] = maxAlpha;
-    }
+function cropMetadataHeaders(meta) {
+  const box = b => `${b.left},${b.top},${b.width},${b.height}`;
+  const headers = {
+    'X-Crop-Output': meta.output,
+    'X-Crop-Original-Size': `${meta.originalSize.width}x${meta.originalSize.height}`,
+    'X-Crop-Processing-Size': `${meta.processingSize.width}x${meta.processingSize.height}`,
+    'X-Crop-Background': `${meta.background.r},${meta.background.g},${meta.background.b}`,
+    'X-Crop-Threshold': meta.threshold.toString(),
+    'X-Crop-Background-Pixels': meta.backgroundPixels.toString(),
+    'X-Crop-Edge-Pixels': meta.edgePixels.toString(),
+    'X-Crop-Islands-Removed': meta.islandsRemoved.toString(),
+    'X-Crop-Island-Pixels': meta.islandPixels.toString(),
+    // step(name=value;...),... - colors as hex
+    'X-Crop-Steps': meta.steps.map(s => `${s.step}(${Object.entries(s.params).map(([k, v]) => `${k}=${v}`).join(';')})`).join(',') || 'none',
+    'X-Crop-Timings': meta.timings.map(t => `${t.step}=${t.ms}`).join(','),
+    'X-Background-Colors': meta.backgroundColors.join(','),
+    'X-Background-Model': meta.backgroundModel
+  };
+  if (meta.cache !== 'off') headers['X-Cache'] = meta.cache.toUpperCase();
+  if (meta.trim) headers['X-Crop-Trim'] = box(meta.trim);
+  if (meta.canvasPlacement) headers['X-Crop-Canvas-Placement'] = box(meta.canvasPlacement);
+  if (meta.output === 'mask') {
+    headers['X-Mask-Levels'] = Object.entries(MASK_LEVELS).map(([k, v]) => `${k}=${v}`).join(',');
   }
-  return result;
+  return headers;
 }
 
-function alphaFeather(data, mask, width, height, channels, featherRadius) {
-  if (featherRadius <= 0) return data;
-  const result = Buffer.from(data);
-  
-  // Build distance map from bg boundary for fg pixels
-  // Simple approach: for each fg pixel near edge, compute min distance to bg
-  const distMap = new Float32Array(width * height).fill(999);
-  
-  // Seed: bg pixels have distance 0
-  for (let i = 0; i < width * height; i++) {
-    if (mask[i] === 1) distMap[i] = 0;
-  }
-  
-  // BFS to compute distances
-  const queue = [];
-  for (let i = 0; i < width * height; i++) {
-    if (mask[i] === 1) queue.push(i);
-  }
+function cropResultJson(result, meta) {
+  return {
+    success: true,
+    ...meta,
+    mimeType: result.format.mime,
+    image: result.buffer.toString('base64')
+  };
+}
+
+app.post('/crop', trackRequest('/crop'), authorize, imageInput, async (req, res) => {
+  // callbackUrl: answer 202 now, run as a job and POST the result when done
+  if (req.body.callbackUrl) return submitJob(req, res, 'crop');
   
-  let head = 0;
-  const dx = [-1, 1, 0, 0];
-  const dy = [0, 0, -1, 1];
+  let imagePath;
   
-  while (head < queue.length) {
-    const idx = queue[head++];
-    const x = idx % width;
-    const y = Math.floor(idx / width);
-    const d = distMap[idx];
+  try {
+    const imageFile = req.file;
+    if (!imageFile) return res.status(400).json({ error: 'Image file required (or imageBase64 / imageUrl)' });
+    
+    imagePath = imageFile.path;
+    
+    const body = await resolveCropBody(req.body);
+    if (!body) return res.status(400).json({ error: `Unknown preset: ${req.body.preset}` });
+    const params = parseCropParams(body);
     
-    if (d >= featherRadius) continue;
+    req.log.info('🔍 Crop', { preset: req.body.preset, ...cropLogFields(params) });
     
-    for (let k = 0; k < 4; k++) {
-      const nx = x + dx[k], ny = y + dy[k];
-      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-      const nIdx = ny * width + nx;
-      if (distMap[nIdx] <= d + 1) continue;
-      distMap[nIdx] = d + 1;
-      queue.push(nIdx);
+    const result = await processCrop(imagePath, params, { log: req.log });
+    res.locals.inputPixels = result.width * result.height;
+    res.locals.processedPixels = result.processingWidth * result.processingHeight;
+    const meta = cropMetadata(result, params);
+    
+    if (params.responseType === 'json') return res.json(cropResultJson(result, meta));
+    
+    res.set({
+      ...imageHeaders(`${params.output === 'image' ? 'cropped' : params.output}-${Date.now()}`, result.format),
+      ...cropMetadataHeaders(meta)
+    });
+    res.send(result.buffer);
+    
+  } catch (error) {
+    if (error instanceof ParamsError) return sendParamsError(res, error);
+    if (error instanceof PipelineError) return sendPipelineError(res, error);
+    if (error instanceof PoolFullError) {
+      req.log.warn('⏳ Crop queue full - rejecting', { pool: cropPool.stats() });
+      return sendPoolFull(res, error);
     }
+    req.log.error('❌ Crop failed', { error });
+    res.status(500).json({ error: 'Failed to process image', details: error.message });
+  } finally {
+    if (imagePath) await fs.unlink(imagePath).catch(() => {});
   }
-  
-  // Apply feather: fg pixels within featherRadius get faded alpha
-  for (let i = 0; i < width * height; i++) {
-    if (mask[i] === 1) continue; // bg already transparent
-    const dist = distMap[i];
-    if (dist >= featherRadius) continue; // far from edge, fully opaque
-    const dataIdx = i * channels;
-    const currentAlpha = result[dataIdx + 3];
-    const featherAlpha = Math.round((dist / featherRadius) * 255);
-    result[dataIdx + 3] = Math.min(currentAlpha, featherAlpha);
-  }
-  
-  return result;
-}
-
+});
 
 // ============================================
-// ALPHA MATTING
+// /crop/batch - MANY IMAGES IN, ONE ZIP OUT
 // ============================================
-// Removes bg color contamination from edge pixels
-// even when they are fully opaque (alpha=255)
-// Works by estimating how much bg color leaked into fg pixels
-// based on their color distance from bg vs fg
-
-function alphaMatting(data, mask, width, height, channels, bgColor, edgePixels, mattingRadius, mattingStrength) {
-  if (channels < 4) return data;
-  const result = Buffer.from(data);
-
-  // For each edge pixel, sample nearby confirmed fg pixels to estimate true fg color
-  const dx = [-1,1,0,0,-2,2,0,0,-1,-1,1,1];
-  const dy = [0,0,-1,1,0,0,-2,2,-1,1,-1,1];
-
-  for (const idx of edgePixels) {
-    const x = idx % width;
-    const y = Math.floor(idx / width);
-    const dataIdx = idx * channels;
-
-    const r = data[dataIdx], g = data[dataIdx+1], b = data[dataIdx+2];
-
-    // How similar is this pixel to bg?
-    const distToBg = deltaE76Fast(r, g, b, bgColor.r, bgColor.g, bgColor.b);
-
-    // Sample confirmed fg neighbors to get estimated true fg color
-    let fgR = 0, fgG = 0, fgB = 0, fgCount = 0;
-    for (let radius = 1; radius <= mattingRadius; radius++) {
-      for (let k = 0; k < dx.length; k++) {
-        const nx = x + dx[k] * radius;
-        const ny = y + dy[k] * radius;
-        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-        const nIdx = ny * width + nx;
-        if (mask[nIdx] === 1) continue; // skip bg
-        const nDataIdx = nIdx * channels;
-        const na = data[nDataIdx + 3];
-        if (na < 200) continue; // only use solidly opaque fg pixels
-        const nr = data[nDataIdx], ng = data[nDataIdx+1], nb = data[nDataIdx+2];
-        const distNToBg = deltaE76Fast(nr, ng, nb, bgColor.r, bgColor.g, bgColor.b);
-        if (distNToBg < 5) continue; // skip pixels too similar to bg
-        fgR += nr; fgG += ng; fgB += nb; fgCount++;
-      }
-      if (fgCount >= 3) break;
-    }
-
-    if (fgCount === 0) continue; // can't estimate fg color
-
-    const estFgR = fgR / fgCount;
-    const estFgG = fgG / fgCount;
-    const estFgB = fgB / fgCount;
-
-    // Estimate alpha: how much of this pixel is fg vs bg?
-    // Using luminance-based estimation
-    const distToBgFull = Math.sqrt((r-bgColor.r)**2 + (g-bgColor.g)**2 + (b-bgColor.b)**2);
-    const distFgToBg = Math.sqrt((estFgR-bgColor.r)**2 + (estFgG-bgColor.g)**2 + (estFgB-bgColor.b)**2);
-
-    if (distFgToBg < 1) continue; // fg and bg too similar, skip
+// Accepts many files in the 'images' field (or ZIP archives of images),
+// runs every image through processCrop with one shared parameter set
+// and returns a ZIP of the PNGs plus manifest.json.
+// A file that fails is recorded in the manifest; the batch carries on.
 
-    const estimatedAlpha = Math.min(1, distToBgFull / distFgToBg);
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES) || 200;
+// Uploaded files plus unpacked ZIP entries, held in memory together
+const BATCH_MAX_BYTES = parseInt(process.env.BATCH_MAX_BYTES) || 512 * 1024 * 1024;
 
-    // Apply matting: blend toward estimated fg color, weighted by strength
-    const strength = mattingStrength / 100;
-    const currentAlpha = result[dataIdx + 3] / 255;
-    const newAlpha = Math.max(estimatedAlpha, currentAlpha * (1 - strength) + estimatedAlpha * strength);
-
-    result[dataIdx + 3] = Math.round(Math.min(255, newAlpha * 255));
-
-    // If alpha dropped significantly, also correct RGB toward true fg
-    if (newAlpha < 0.95) {
-      result[dataIdx]   = Math.min(255, Math.max(0, Math.round(estFgR)));
-      result[dataIdx+1] = Math.min(255, Math.max(0, Math.round(estFgG)));
-      result[dataIdx+2] = Math.min(255, Math.max(0, Math.round(estFgB)));
-    }
-  }
-
-  return result;
+function isZipBuffer(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
 }
 
-
-// ============================================
-// ANTI-ALIASING
-// ============================================
-// Applies supersampling-style smoothing to jagged edges
-// by blurring both alpha and RGB channels at edge pixels
-
-function applyAntiAliasing(data, mask, width, height, channels, radius) {
-  if (radius <= 0) return data;
-  const result = Buffer.from(data);
-  const sigma = radius;
-  const size = Math.ceil(radius * 3) * 2 + 1;
-  const half = Math.floor(size / 2);
-
-  // Gaussian kernel
-  const kernel = [];
-  let kernelSum = 0;
-  for (let i = 0; i < size; i++) {
-    const x = i - half;
-    const val = Math.exp(-(x * x) / (2 * sigma * sigma));
-    kernel.push(val);
-    kernelSum += val;
-  }
-  for (let i = 0; i < size; i++) kernel[i] /= kernelSum;
-
-  // Find edge pixels (fg pixels adjacent to bg or transparent)
-  const isEdge = new Uint8Array(width * height);
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = y * width + x;
-      if (mask[idx] === 1) continue; // bg
-      // Check if any neighbor is bg
-      let hasEdge = false;
-      for (let dy = -half; dy <= half; dy++) {
-        for (let dx = -half; dx <= half; dx++) {
-          if (dx === 0 && dy === 0) continue;
-          const nx = x + dx, ny = y + dy;
-          if (nx < 0 || nx >= width || ny < 0 || ny >= height) { hasEdge = true; break; }
-          if (mask[ny * width + nx] === 1) { hasEdge = true; break; }
-        }
-        if (hasEdge) break;
-      }
-      if (hasEdge) isEdge[idx] = 1;
+// Expands uploaded files into a flat list of { name, buffer }
+// ZIP uploads contribute every image entry they contain. Entries are
+// counted and sized from the ZIP headers before anything is decompressed
+// (adm-zip inflates no more than the declared size; entries declaring 0
+// bytes are skipped since nothing would cap them), so a ZIP bomb is
+// refused up front.
+// Returns { inputs } or { status, error, details }
+async function collectBatchInputs(files) {
+  const sources = [];
+  for (const file of files) {
+    const buffer = await fs.readFile(file.path);
+    if (!isZipBuffer(buffer)) {
+      sources.push({ name: file.originalname, size: buffer.length, read: () => buffer });
+      continue;
     }
-  }
-
-  // Apply Gaussian blur to RGBA at edge pixels only
-  const temp = Buffer.from(data);
-
-  // Horizontal pass
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = y * width + x;
-      if (!isEdge[idx]) continue;
-      let r = 0, g = 0, b = 0, a = 0;
-      for (let k = 0; k < size; k++) {
-        const nx = Math.min(width - 1, Math.max(0, x + k - half));
-        const nDataIdx = (y * width + nx) * channels;
-        const w = kernel[k];
-        r += data[nDataIdx]     * w;
-        g += data[nDataIdx + 1] * w;
-        b += data[nDataIdx + 2] * w;
-        a += data[nDataIdx + 3] * w;
-      }
-      const dataIdx = idx * channels;
-      temp[dataIdx]     = Math.round(r);
-      temp[dataIdx + 1] = Math.round(g);
-      temp[dataIdx + 2] = Math.round(b);
-      temp[dataIdx + 3] = Math.round(a);
+    const zip = new AdmZip(buffer);
+    for (const entry of zip.getEntries()) {
+      if (entry.isDirectory) continue;
+      if (entry.entryName.startsWith('__MACOSX/')) continue;
+      if (!IMAGE_FILE.test(entry.entryName)) continue;
+      if (entry.header.size === 0) continue;
+      sources.push({ name: entry.entryName, size: entry.header.size, read: () => entry.getData() });
     }
   }
 
-  // Vertical pass
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = y * width + x;
-      if (!isEdge[idx]) continue;
-      let r = 0, g = 0, b = 0, a = 0;
-      for (let k = 0; k < size; k++) {
-        const ny = Math.min(height - 1, Math.max(0, y + k - half));
-        const nDataIdx = (ny * width + x) * channels;
-        const w = kernel[k];
-        r += temp[nDataIdx]     * w;
-        g += temp[nDataIdx + 1] * w;
-        b += temp[nDataIdx + 2] * w;
-        a += temp[nDataIdx + 3] * w;
-      }
-      const dataIdx = idx * channels;
-      result[dataIdx]     = Math.round(r);
-      result[dataIdx + 1] = Math.round(g);
-      result[dataIdx + 2] = Math.round(b);
-      result[dataIdx + 3] = Math.round(a);
-    }
+  if (sources.length > BATCH_MAX_FILES) {
+    return { status: 400, error: `Too many images (${sources.length}), max ${BATCH_MAX_FILES}` };
   }
-
-  return result;
-}
-
-
-// Spill removal: replace bg color contamination on edges with target color
-function spillRemoval(data, mask, width, height, channels, bgColor, edgePixels, targetColor, strength) {
-  if (channels < 4) return data;
-  const result = Buffer.from(data);
-  const s = strength / 100;
-
-  for (const idx of edgePixels) {
-    const dataIdx = idx * channels;
-    const r = result[dataIdx], g = result[dataIdx+1], b = result[dataIdx+2];
-    const alpha = result[dataIdx+3];
-
-    if (alpha === 0) continue;
-
-    // How similar is this pixel to bg?
-    const distToBg = deltaE76Fast(r, g, b, bgColor.r, bgColor.g, bgColor.b);
-    const maxDist = 50;
-    const bgInfluence = Math.max(0, 1 - distToBg / maxDist); // 1 = very similar to bg, 0 = not similar
-
-    if (bgInfluence < 0.05) continue; // not contaminated
-
-    // Blend toward target color based on bg influence and strength
-    const blend = bgInfluence * s;
-    result[dataIdx]     = Math.round(r * (1 - blend) + targetColor.r * blend);
-    result[dataIdx + 1] = Math.round(g * (1 - blend) + targetColor.g * blend);
-    result[dataIdx + 2] = Math.round(b * (1 - blend) + targetColor.b * blend);
+  const tooLarge = sources.find(source => source.size > MAX_IMAGE_BYTES);
+  if (tooLarge) {
+    return { status: 413, error: 'Image too large', details: `${tooLarge.name} is ${tooLarge.size} bytes, max ${MAX_IMAGE_BYTES}` };
   }
-
-  return result;
-}
-
-
-// Edge recolor: paint all edge pixels to a target color (white or black)
-// Useful when edge halo color is wrong and needs to be replaced entirely
-// edgeDepth controls how many pixels deep from bg boundary to recolor
-function edgeRecolor(data, mask, width, height, channels, edgePixels, targetColor, edgeDepth) {
-  const result = Buffer.from(data);
-
-  // BFS to get all pixels within edgeDepth from bg
-  const visited = new Uint8Array(width * height);
-  const queue = [...edgePixels];
-  const depthMap = new Int16Array(width * height).fill(-1);
-  
-  for (const idx of edgePixels) {
-    depthMap[idx] = 1;
-    visited[idx] = 1;
+  const total = sources.reduce((sum, source) => sum + source.size, 0);
+  if (total > BATCH_MAX_BYTES) {
+    return { status: 413, error: 'Batch too large', details: `${total} bytes of images (ZIPs unpacked), max ${BATCH_MAX_BYTES}` };
   }
-
-  let head = 0;
-  const dx = [-1, 1, 0, 0];
-  const dy = [0, 0, -1, 1];
-
-  while (head < queue.length) {
-    const idx = queue[head++];
-    const d = depthMap[idx];
-    if (d >= edgeDepth) continue;
-    const x = idx % width;
-    const y = Math.floor(idx / width);
-    for (let k = 0; k < 4; k++) {
-      const nx = x + dx[k], ny = y + dy[k];
-      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-      const nIdx = ny * width + nx;
-      if (visited[nIdx] || mask[nIdx] === 1) continue;
-      visited[nIdx] = 1;
-      depthMap[nIdx] = d + 1;
-      queue.push(nIdx);
-    }
-  }
-
-  // Paint all visited fg pixels to target color
-  for (let i = 0; i < width * height; i++) {
-    if (depthMap[i] < 1) continue;
-    const dataIdx = i * channels;
-    const alpha = result[dataIdx + 3];
-    if (alpha === 0) continue;
-    result[dataIdx]     = targetColor.r;
-    result[dataIdx + 1] = targetColor.g;
-    result[dataIdx + 2] = targetColor.b;
-  }
-
-  return result;
+  return { inputs: sources.map(source => ({ name: source.name, buffer: source.read() })) };
 }
 
-
-// Color replace: find fg pixels similar to bg color and recolor them
-// Unlike edgeRecolor, this works anywhere in the image, not just edges
-function colorReplace(data, mask, width, height, channels, bgColor, targetColor, threshold) {
-  const result = Buffer.from(data);
-
-  for (let i = 0; i < width * height; i++) {
-    if (mask[i] === 1) continue; // skip bg (already transparent)
-    const dataIdx = i * channels;
-    const alpha = result[dataIdx + 3];
-    if (alpha === 0) continue;
-
-    const r = result[dataIdx], g = result[dataIdx+1], b = result[dataIdx+2];
-    const dist = deltaE76Fast(r, g, b, bgColor.r, bgColor.g, bgColor.b);
-
-    if (dist <= threshold) {
-      result[dataIdx]     = targetColor.r;
-      result[dataIdx + 1] = targetColor.g;
-      result[dataIdx + 2] = targetColor.b;
-    }
-  }
-
-  return result;
+// cropped output names: photo.jpg -> photo.png, duplicates -> photo-2.png
+// (extension follows the requested output format)
+function uniqueOutputName(name, used, ext) {
+  const base = path.basename(name, path.extname(name)) || 'image';
+  let candidate = `${base}.${ext}`;
+  for (let n = 2; used.has(candidate); n++) candidate = `${base}-${n}.${ext}`;
+  used.add(candidate);
+  return candidate;
 }
 
-// ============================================
-// SPLIT HELPERS
-// ============================================
-
-async function detectAndTrimPanel(buffer, trimThreshold, trimPadding) {
-  const image = sharp(buffer);
-  const meta = await image.metadata();
-  const { width, height, channels } = meta;
-  
-  const raw = await image.raw().toBuffer();
-  
-  // Sample corner pixels for background color
-  const getPixel = (x, y) => {
-    const idx = (y * width + x) * channels;
-    return [raw[idx], raw[idx + 1], raw[idx + 2]];
-  };
-  
-  const corners = [
-    getPixel(0, 0),
-    getPixel(width - 1, 0),
-    getPixel(0, height - 1),
-    getPixel(width - 1, height - 1)
-  ];
-  
-  // Median background color
-  const bg = [0, 1, 2].map(ch => {
-    const vals = corners.map(c => c[ch]).sort((a, b) => a - b);
-    return Math.round((vals[1] + vals[2]) / 2);
-  });
-  
-  // Find bounding box of non-background pixels
-  let minX = width, minY = height, maxX = 0, maxY = 0;
-  let hasContent = false;
+app.post('/crop/batch', trackRequest('/crop/batch'), authorize, upload.array('images', BATCH_MAX_FILES), async (req, res) => {
+  const files = req.files || [];
   
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = (y * width + x) * channels;
-      const r = raw[idx], g = raw[idx + 1], b = raw[idx + 2];
-      
-      const dist = Math.sqrt(
-        (r - bg[0]) ** 2 + (g - bg[1]) ** 2 + (b - bg[2]) ** 2
-      );
-      
-      if (dist > trimThreshold) {
-        hasContent = true;
-        if (x < minX) minX = x;
-        if (x > maxX) maxX = x;
-        if (y < minY) minY = y;
-        if (y > maxY) maxY = y;
+  try {
+    if (files.length === 0) return res.status(400).json({ error: 'At least one image file required' });
+    
+    if (cropPool.isFull()) return sendPoolFull(res, new PoolFullError(cropPool.retryAfter));
+    
+    const startTime = Date.now();
+    const body = await resolveCropBody(req.body);
+    if (!body) return res.status(400).json({ error: `Unknown preset: ${req.body.preset}` });
+    const params = parseCropParams(body);
+    const collected = await collectBatchInputs(files);
+    if (collected.error) return res.status(collected.status).json({ error: collected.error, details: collected.details });
+    const { inputs } = collected;
+    if (inputs.length === 0) return res.status(400).json({ error: 'No images found in upload' });
+    
+    req.log.info('📦 Batch crop', { images: inputs.length, preset: req.body.preset, ...cropLogFields(params) });
+    
+    const zip = new AdmZip();
+    const usedNames = new Set();
+    const manifest = [];
+    res.locals.processedPixels = 0;
+    
+    for (const input of inputs) {
+      const fileStart = Date.now();
+      try {
+        const result = await processCrop(input.buffer, params, { rejectWhenFull: false, log: req.log.child({ file: input.name }) });
+        res.locals.processedPixels += result.processingWidth * result.processingHeight;
+        const output = uniqueOutputName(input.name, usedNames, result.format.ext);
+        zip.addFile(output, result.buffer);
+        manifest.push({
+          file: input.name,
+          output,
+          status: 'ok',
+          background: result.bgColor,
+          backgroundColors: result.bgColors.map(rgbToHex),
+          threshold: result.threshold,
+          trim: result.trim,
+          cache: result.cache,
+          durationMs: Date.now() - fileStart
+        });
+      } catch (error) {
+        manifest.push({
+          file: input.name,
+          output: null,
+          status: 'error',
+          error: error.message,
+          durationMs: Date.now() - fileStart
+        });
+        req.log.warn('❌ Batch file failed', { file: input.name, error });
       }
     }
-  }
-  
-  if (!hasContent) {
-    return { buffer, width, height, isEmpty: true };
-  }
-  
-  // Apply padding
-  minX = Math.max(0, minX - trimPadding);
-  minY = Math.max(0, minY - trimPadding);
-  maxX = Math.min(width - 1, maxX + trimPadding);
-  maxY = Math.min(height - 1, maxY + trimPadding);
-  
-  const cropW = maxX - minX + 1;
-  const cropH = maxY - minY + 1;
-  
-  // Phase 1: Manual crop based on bg detection
-  const croppedBuffer = await sharp(buffer)
-    .extract({ left: minX, top: minY, width: cropW, height: cropH })
-    .png()
-    .toBuffer();
-  
-  // Phase 2: Sharp trim to catch JPEG artifact borders
-  // (white/gray fringes that manual detection misses)
-  try {
-    const finalBuffer = await sharp(croppedBuffer)
-      .trim({ threshold: 20 })
-      .png()
-      .toBuffer();
     
-    const finalMeta = await sharp(finalBuffer).metadata();
-    return {
-      buffer: finalBuffer,
-      width: finalMeta.width,
-      height: finalMeta.height,
-      isEmpty: false
-    };
-  } catch (e) {
-    // trim() can fail if entire image is one color
-    return {
-      buffer: croppedBuffer,
-      width: cropW,
-      height: cropH,
-      isEmpty: false
-    };
+    const succeeded = manifest.filter(m => m.status === 'ok').length;
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify({
+      total: manifest.length,
+      succeeded,
+      failed: manifest.length - succeeded,
+      durationMs: Date.now() - startTime,
+      files: manifest
+    }, null, 2)));
+    
+    req.log.info('📦 Batch done', { total: manifest.length, succeeded, durationMs: Date.now() - startTime });
+    
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="cropped-batch-${Date.now()}.zip"`,
+      'X-Batch-Total': manifest.length.toString(),
+      'X-Batch-Failed': (manifest.length - succeeded).toString()
+    });
+    res.send(zip.toBuffer());
+    
+  } catch (error) {
+    if (error instanceof ParamsError) return sendParamsError(res, error);
+    if (error instanceof PipelineError) return sendPipelineError(res, error);
+    req.log.error('❌ Batch failed', { error });
+    res.status(500).json({ error: 'Failed to process batch', details: error.message });
+  } finally {
+    await Promise.all(files.map(f => fs.unlink(f.path).catch(() => {})));
   }
-}
+});
 
 // ============================================
-// HEALTH CHECK
+// /extract - EVERY FOREGROUND OBJECT SEPARATELY
 // ============================================
+// Runs the /crop pipeline once, labels connected foreground regions of the
+// flood-fill mask and returns each object as its own transparent image.
+// Objects smaller than minArea (original pixels) are dropped.
+// sort=reading (rows top to bottom, left to right) | size (largest first)
+// output=zip (objects + manifest.json) | json (base64 images)
+
+function extractObjectJson(object, format) {
+  const { buffer, ...meta } = object;
+  return { ...meta, file: `${object.name}.${format.ext}` };
+}
 
-app.get('/', (req, res) => {
-  res.json({ 
-    status: 'ok',
-    service: 'Yerlikaya Auto Crop API',
-    version: '3.2.0',
-    endpoints: {
-      crop: 'POST /crop - Background removal + auto crop (flood-fill)',
-      trim: 'POST /trim - Simple whitespace trim',
-      split: 'POST /split - Split horizontal image into panels + auto trim'
-    }
-  });
-});
+function extractResultJson({ width, height, bgColor, bgColors, threshold, objects, format }, sort) {
+  return {
+    success: true,
+    originalSize: { width, height },
+    background: bgColor,
+    backgroundColors: bgColors.map(rgbToHex),
+    threshold,
+    sort,
+    format: format.type,
+    mimeType: format.mime,
+    objectCount: objects.length,
+    objects: objects.map(o => ({ ...extractObjectJson(o, format), image: o.buffer.toString('base64') }))
+  };
+}
 
-// ============================================
-// /crop - FLOOD-FILL BACKGROUND REMOVAL + CROP
-// ============================================
+function extractResultZip({ width, height, bgColor, bgColors, threshold, objects, format }, sort) {
+  const zip = new AdmZip();
+  for (const object of objects) zip.addFile(`${object.name}.${format.ext}`, object.buffer);
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify({
+    originalSize: { width, height },
+    background: bgColor,
+    backgroundColors: bgColors.map(rgbToHex),
+    threshold,
+    sort,
+    objectCount: objects.length,
+    objects: objects.map(o => extractObjectJson(o, format))
+  }, null, 2)));
+  return zip.toBuffer();
+}
 
-app.post('/crop', upload.single('image'), async (req, res) => {
+app.post('/extract', trackRequest('/extract'), authorize, upload.single('image'), async (req, res) => {
   let imagePath;
   
   try {
@@ -925,210 +728,194 @@ app.post('/crop', upload.single('image'), async (req, res) => {
     if (!imageFile) return res.status(400).json({ error: 'Image file required' });
     
     imagePath = imageFile.path;
-    const startTime = Date.now();
     
-    // Parameters
-    const threshold = parseFloat(req.body.threshold) || 8;
-    const edgeThreshold = Math.max(1, Math.round(parseFloat(req.body.edgeThreshold) || 3));
-    const enableErosion = req.body.erosion !== 'false' && req.body.erosion !== '0';
-    const erosionRadius = parseInt(req.body.erosionRadius) || 1;
-    const enableDecontamination = req.body.decontamination === 'true';
-    const enableMatting = req.body.matting === 'true';
-    const enableAntiAlias = req.body.antiAlias === 'true';
-    const enableSpillRemoval = req.body.spillRemoval === 'true';
-    const enableEdgeRecolor = req.body.edgeRecolor === 'true';
-    const enableColorReplace = req.body.colorReplace === 'true';
-    const colorReplaceThreshold = Math.min(60, Math.max(1, parseFloat(req.body.colorReplaceThreshold) || 20));
-    const colorReplaceHex = (req.body.colorReplaceTarget || '000000').replace('#', '');
-    const colorReplaceTarget = {
-      r: parseInt(colorReplaceHex.slice(0,2), 16) || 0,
-      g: parseInt(colorReplaceHex.slice(2,4), 16) || 0,
-      b: parseInt(colorReplaceHex.slice(4,6), 16) || 0
-    };
-    const edgeRecolorDepth = Math.min(20, Math.max(1, parseInt(req.body.edgeRecolorDepth) || 3));
-    const edgeRecolorHex = (req.body.edgeRecolorColor || 'ffffff').replace('#', '');
-    const edgeRecolorColor = {
-      r: parseInt(edgeRecolorHex.slice(0,2), 16) || 255,
-      g: parseInt(edgeRecolorHex.slice(2,4), 16) || 255,
-      b: parseInt(edgeRecolorHex.slice(4,6), 16) || 255
-    };
-    const spillStrength = Math.min(100, Math.max(1, parseInt(req.body.spillStrength) || 80));
-    const spillColorHex = (req.body.spillColor || 'ffffff').replace('#', '');
-    const spillColor = {
-      r: parseInt(spillColorHex.slice(0,2), 16) || 255,
-      g: parseInt(spillColorHex.slice(2,4), 16) || 255,
-      b: parseInt(spillColorHex.slice(4,6), 16) || 255
-    };
-    const antiAliasRadius = Math.min(3, Math.max(0.1, parseFloat(req.body.antiAliasRadius) || 0.5));
-    const mattingRadius = Math.min(5, Math.max(1, parseInt(req.body.mattingRadius) || 2));
-    const mattingStrength = Math.min(100, Math.max(1, parseInt(req.body.mattingStrength) || 80));
-    const enableSoftening = req.body.softening === 'true';
-    const softenRadius = Math.min(10, Math.max(0, parseInt(req.body.softenRadius) || 2));
-    const enableFeather = req.body.feather === 'true';
-    const featherRadius = Math.min(20, Math.max(0, parseInt(req.body.featherRadius) || 3));
-    const enableDilation = req.body.dilation === 'true';
-    const dilationRadius = Math.min(5, Math.max(0, parseInt(req.body.dilationRadius) || 1));
-    const minIslandSize = parseInt(req.body.minIslandSize) || 100;
-    const upscaleFactor = Math.min(4, Math.max(1, parseInt(req.body.upscale) || 1));
+    const body = await resolveCropBody(req.body);
+    if (!body) return res.status(400).json({ error: `Unknown preset: ${req.body.preset}` });
+    const params = parseExtractParams(body);
     
-    console.log('='.repeat(60));
-    console.log(`🔍 v3.2 Flood-Fill Processing`);
-    console.log(`📊 FloodThreshold: ${threshold} | EdgeThreshold: ${edgeThreshold} | Erosion: ${enableErosion} (${erosionRadius}px)`);
-    console.log(`🎨 Decontamination: ${enableDecontamination} | Matting: ${enableMatting} (r:${mattingRadius}, s:${mattingStrength}%)`);
-    console.log(`✨ Softening: ${enableSoftening} (r:${softenRadius}) | Feather: ${enableFeather} (r:${featherRadius}) | Dilation: ${enableDilation} (r:${dilationRadius})`);
-    console.log(`🔲 AntiAlias: ${enableAntiAlias} (r:${antiAliasRadius}) | SpillRemoval: ${enableSpillRemoval} (s:${spillStrength}%, color:#${spillColorHex})`);
-    console.log(`🔭 Upscale: ${upscaleFactor}x | MinIslandSize: ${minIslandSize} (effective: ${minIslandSize * upscaleFactor * upscaleFactor})`);
+    req.log.info('🧩 Extract', {
+      preset: req.body.preset,
+      ...cropLogFields(params),
+      minArea: params.minArea,
+      sort: params.sort,
+      output: params.responseFormat
+    });
     
-    // Load image with alpha (+ optional upscale)
-    const imageMeta = await sharp(imagePath).metadata();
-    const origWidth = imageMeta.width;
-    const origHeight = imageMeta.height;
-
-    let imageSharp = sharp(imagePath).ensureAlpha();
-    if (upscaleFactor > 1) {
-      imageSharp = imageSharp.resize(origWidth * upscaleFactor, origHeight * upscaleFactor, {
-        kernel: sharp.kernel.lanczos3
-      });
-    }
-    const { data, info } = await imageSharp.raw().toBuffer({ resolveWithObject: true });
-    const { width, height, channels } = info;
+    const result = await processExtract(imagePath, params, { pool: cropPool, log: req.log });
+    res.locals.inputPixels = result.width * result.height;
+    res.locals.processedPixels = result.width * result.height * params.upscaleFactor ** 2;
     
-    console.log(`📏 Original: ${origWidth}x${origHeight}, Processing: ${width}x${height}, channels: ${channels}`);
+    req.log.info('✅ Extract done', { objects: result.objects.length, background: rgbToHex(result.bgColor), threshold: result.threshold });
     
-    // Step 1: Detect background
-    const bgColor = detectBackgroundColor(data, width, height, channels);
-    console.log(`🎨 Background: rgb(${bgColor.r}, ${bgColor.g}, ${bgColor.b})`);
+    res.set('X-Object-Count', result.objects.length.toString());
+    if (params.responseFormat === 'json') return res.json(extractResultJson(result, params.sort));
     
-    // Step 2: Flood-fill from edges
-    const mask = floodFillBackground(data, width, height, channels, bgColor, threshold);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="objects-${Date.now()}.zip"`
+    });
+    res.send(extractResultZip(result, params.sort));
     
-    let bgCount = 0;
-    for (let i = 0; i < mask.length; i++) if (mask[i] === 1) bgCount++;
-    console.log(`🌊 Flood-fill: ${bgCount} bg pixels (${(bgCount / mask.length * 100).toFixed(1)}%)`);
+  } catch (error) {
+    if (error instanceof ParamsError) return sendParamsError(res, error);
+    if (error instanceof PipelineError) return sendPipelineError(res, error);
+    if (error instanceof PoolFullError) {
+      req.log.warn('⏳ Crop queue full - rejecting', { pool: cropPool.stats() });
+      return sendPoolFull(res, error);
+    }
+    req.log.error('❌ Extract failed', { error });
+    res.status(500).json({ error: 'Failed to extract objects', details: error.message });
+  } finally {
+    if (imagePath) await fs.unlink(imagePath).catch(() => {});
+  }
+});
+
+// ============================================
+// /analyze - TRIAGE WITHOUT PRODUCING AN IMAGE
+// ============================================
+// Runs background detection, flood fill and island removal with the /crop
+// parameters (threshold, bgColor/bgPoint, bgModel, colorMetric, preset) and
+// returns JSON: background color and spread, coverage, edge/island counts,
+// content box, border contact, a suggested threshold and a confidence score.
+// Always at the original resolution (upscale is ignored).
+
+app.post('/analyze', trackRequest('/analyze'), authorize, upload.single('image'), async (req, res) => {
+  let imagePath;
+  
+  try {
+    const imageFile = req.file;
+    if (!imageFile) return res.status(400).json({ error: 'Image file required' });
+    
+    imagePath = imageFile.path;
+    const startTime = Date.now();
     
-    // Step 3: Interior islands (scale minIslandSize by upscale factor)
-    const effectiveMinIslandSize = minIslandSize * (upscaleFactor * upscaleFactor);
-    const removed = removeInteriorIslands(data, mask, width, height, channels, bgColor, threshold * 1.2, effectiveMinIslandSize);
-    if (removed > 0) console.log(`🏝️ Interior islands removed: ${removed} pixels (minSize: ${effectiveMinIslandSize})`);
+    const body = await resolveCropBody(req.body);
+    if (!body) return res.status(400).json({ error: `Unknown preset: ${req.body.preset}` });
+    const params = { ...parseCropParams(body), upscaleFactor: 1 };
     
-    // Step 4: Find edge pixels
-    const edgePixels = findEdgePixels(mask, width, height);
-    console.log(`🔲 Edge pixels: ${edgePixels.size}`);
+    req.log.info('🔎 Analyze', {
+      preset: req.body.preset,
+      threshold: params.threshold,
+      colorMetric: params.colorMetric,
+      bgModel: params.bgModel,
+      minIslandSize: params.minIslandSize
+    });
     
-    // Step 5: Apply transition zone + transparency
-    let processedData = applyTransitionZone(data, mask, width, height, channels, bgColor, edgeThreshold, edgePixels);
+    const report = await processAnalyze(imagePath, params, { pool: cropPool, log: req.log });
+    res.locals.inputPixels = report.width * report.height;
     
-    // Step 6: Color decontamination
-    if (enableDecontamination) {
-      processedData = colorDecontaminate(processedData, mask, width, height, channels, bgColor, edgePixels);
-    }
+    res.json({ file: imageFile.originalname, ...report, durationMs: Date.now() - startTime });
     
-    // Step 6b: Alpha matting (remove bg color halo from opaque edge pixels)
-    if (enableMatting) {
-      processedData = alphaMatting(processedData, mask, width, height, channels, bgColor, edgePixels, mattingRadius, mattingStrength);
-      console.log(`🧵 Alpha matting applied (r:${mattingRadius}, strength:${mattingStrength}%)`);
+  } catch (error) {
+    if (error instanceof ParamsError) return sendParamsError(res, error);
+    if (error instanceof PipelineError) return sendPipelineError(res, error);
+    if (error instanceof PoolFullError) {
+      req.log.warn('⏳ Crop queue full - rejecting', { pool: cropPool.stats() });
+      return sendPoolFull(res, error);
     }
+    req.log.error('❌ Analyze failed', { error });
+    res.status(500).json({ error: 'Failed to analyze image', details: error.message });
+  } finally {
+    if (imagePath) await fs.unlink(imagePath).catch(() => {});
+  }
+});
 
-    // Step 6c: Spill removal (replace bg color contamination with target color)
-    if (enableSpillRemoval) {
-      processedData = spillRemoval(processedData, mask, width, height, channels, bgColor, edgePixels, spillColor, spillStrength);
-      console.log(`🎨 Spill removal applied (#${spillColorHex}, strength:${spillStrength}%)`);
-    }
+// ============================================
+// /presets - NAMED /crop PARAMETER SETS
+// ============================================
+// Stored in PRESETS_FILE (default data/presets.json).
+// POST /crop (and /crop/batch, /jobs) with preset=<name> loads the stored
+// fields first; any field sent explicitly overrides the preset value.
 
-    // Step 6d: Edge recolor (paint edge pixels to white/black)
-    if (enableEdgeRecolor) {
-      processedData = edgeRecolor(processedData, mask, width, height, channels, edgePixels, edgeRecolorColor, edgeRecolorDepth);
-      console.log(`🖌️ Edge recolor applied (#${edgeRecolorHex}, depth:${edgeRecolorDepth}px)`);
-    }
+const presetStore = new PresetStore(process.env.PRESETS_FILE || path.join(__dirname, 'data', 'presets.json'));
 
-    // Step 6e: Color replace (recolor fg pixels similar to bg color)
-    if (enableColorReplace) {
-      processedData = colorReplace(processedData, mask, width, height, channels, bgColor, colorReplaceTarget, colorReplaceThreshold);
-      console.log(`🖍️ Color replace applied (#${colorReplaceHex}, threshold:${colorReplaceThreshold})`);
+// Field values are checked when the preset is saved, not on every request
+// that uses it. Presets serve /crop and /extract, and output means a
+// different thing on each, so parsing as either one is enough.
+// Throws ParamsError / PipelineError like the /crop parser.
+function checkPresetParams(params) {
+  try {
+    parseCropParams(params);
+  } catch (cropError) {
+    try {
+      parseExtractParams(params);
+    } catch (extractError) {
+      throw cropError;
     }
+  }
+}
 
-    // Step 7: Morphological erosion on alpha
-    if (enableErosion) {
-      for (let pass = 0; pass < erosionRadius; pass++) {
-        const eroded = Buffer.from(processedData);
-        for (const idx of edgePixels) {
-          const x = idx % width;
-          const y = Math.floor(idx / width);
-          const dataIdx = idx * channels;
-          
-          // Check 3x3 neighborhood
-          let minAlpha = 255;
-          for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-              const nx = x + dx, ny = y + dy;
-              if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-                const nDataIdx = (ny * width + nx) * channels;
-                minAlpha = Math.min(minAlpha, processedData[nDataIdx + 3]);
-              }
-            }
-          }
-          eroded[dataIdx + 3] = minAlpha;
-        }
-        processedData = eroded;
-      }
-    }
-    
-    // Step 7b: Alpha Gaussian softening
-    if (enableSoftening && softenRadius > 0) {
-      processedData = alphaGaussianBlur(processedData, width, height, channels, softenRadius);
-      console.log(`💫 Alpha softening applied (r:${softenRadius})`);
-    }
-    
-    // Step 7c: Alpha feathering (distance-based fade)
-    if (enableFeather && featherRadius > 0) {
-      processedData = alphaFeather(processedData, mask, width, height, channels, featherRadius);
-      console.log(`🪶 Alpha feathering applied (r:${featherRadius})`);
-    }
-    
-    // Step 7d: Alpha dilation (expand alpha outward)
-    if (enableDilation && dilationRadius > 0) {
-      processedData = alphaDilation(processedData, width, height, channels, dilationRadius);
-      console.log(`💡 Alpha dilation applied (r:${dilationRadius})`);
-    }
+app.get('/presets', authenticate, async (req, res) => {
+  try {
+    res.json({ presets: await presetStore.list() });
+  } catch (error) {
+    req.log.error('❌ Preset store failed', { error });
+    res.status(500).json({ error: 'Failed to load presets', details: error.message });
+  }
+});
+
+app.get('/presets/:name', authenticate, async (req, res) => {
+  try {
+    const preset = await presetStore.get(req.params.name);
+    if (!preset) return res.status(404).json({ error: `Unknown preset: ${req.params.name}` });
+    res.json(preset);
+  } catch (error) {
+    req.log.error('❌ Preset store failed', { error });
+    res.status(500).json({ error: 'Failed to load presets', details: error.message });
+  }
+});
+
+app.post('/presets', authenticate, async (req, res) => {
+  try {
+    const { name, params } = req.body || {};
+    const invalid = validatePreset(name, params);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const stored = normalizeParams(params);
+    checkPresetParams(stored);
+    if (await presetStore.get(name)) return res.status(409).json({ error: `Preset already exists: ${name}` });
     
-    // Step 7e: Anti-aliasing on edges
-    if (enableAntiAlias) {
-      processedData = applyAntiAliasing(processedData, mask, width, height, channels, antiAliasRadius);
-      console.log(`🔲 Anti-aliasing applied (r:${antiAliasRadius})`);
-    }
+    const preset = await presetStore.set(name, stored);
+    req.log.info('💾 Preset created', { preset: name });
+    res.status(201).location(`/presets/${name}`).json(preset);
+  } catch (error) {
+    if (error instanceof ParamsError) return sendParamsError(res, error);
+    if (error instanceof PipelineError) return sendPipelineError(res, error);
+    req.log.error('❌ Preset store failed', { error });
+    res.status(500).json({ error: 'Failed to save preset', details: error.message });
+  }
+});
 
-    // Step 8: Crop to content (+ downscale back to original resolution)
-    labCache.clear();
+// PUT creates or replaces
+app.put('/presets/:name', authenticate, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { params } = req.body || {};
+    const invalid = validatePreset(name, params);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const stored = normalizeParams(params);
+    checkPresetParams(stored);
     
-    let finalSharp = sharp(processedData, {
-      raw: { width, height, channels }
-    }).trim();
+    const preset = await presetStore.set(name, stored);
+    req.log.info('💾 Preset saved', { preset: name });
+    res.json(preset);
+  } catch (error) {
+    if (error instanceof ParamsError) return sendParamsError(res, error);
+    if (error instanceof PipelineError) return sendPipelineError(res, error);
+    req.log.error('❌ Preset store failed', { error });
+    res.status(500).json({ error: 'Failed to save preset', details: error.message });
+  }
+});
 
-    if (upscaleFactor > 1) {
-      finalSharp = finalSharp.resize(origWidth, origHeight, {
-        kernel: sharp.kernel.lanczos3
-      });
+app.delete('/presets/:name', authenticate, async (req, res) => {
+  try {
+    if (!await presetStore.remove(req.params.name)) {
+      return res.status(404).json({ error: `Unknown preset: ${req.params.name}` });
     }
-
-    const result = await finalSharp
-      .png({ compressionLevel: 6, adaptiveFiltering: true })
-      .toBuffer();
-    
-    console.log(`✅ Done: ${(result.length / 1024).toFixed(0)}KB, ${Date.now() - startTime}ms`);
-    console.log('='.repeat(60));
-    
-    res.set({
-      'Content-Type': 'image/png',
-      'Content-Disposition': `attachment; filename="cropped-${Date.now()}.png"`
-    });
-    res.send(result);
-    
+    req.log.info('🗑️ Preset deleted', { preset: req.params.name });
+    res.status(204).end();
   } catch (error) {
-    console.error('❌ Error:', error);
-    labCache.clear();
-    res.status(500).json({ error: 'Failed to process image', details: error.message });
-  } finally {
-    if (imagePath) await fs.unlink(imagePath).catch(() => {});
+    req.log.error('❌ Preset store failed', { error });
+    res.status(500).json({ error: 'Failed to delete preset', details: error.message });
   }
 });
 
@@ -1136,29 +923,28 @@ app.post('/crop', upload.single('image'), async (req, res) => {
 // /trim - SIMPLE WHITESPACE TRIM
 // ============================================
 
-app.post('/trim', upload.single('image'), async (req, res) => {
+app.post('/trim', trackRequest('/trim'), authorize, imageInput, async (req, res) => {
   let imagePath;
   try {
     const imageFile = req.file;
-    if (!imageFile) return res.status(400).json({ error: 'Image file required' });
+    if (!imageFile) return res.status(400).json({ error: 'Image file required (or imageBase64 / imageUrl)' });
     
     imagePath = imageFile.path;
-    const threshold = parseInt(req.body.threshold) || 10;
+    const params = parseTrimParams(req.body);
     
-    console.log('✂️ Trim-only, threshold:', threshold);
+    req.log.info('✂️ Trim', { threshold: params.threshold, format: params.format.type });
     
-    const trimmedBuffer = await sharp(imagePath)
-      .trim({ threshold })
-      .png()
-      .toBuffer();
+    const { buffer: trimmedBuffer, threshold, width, height } = await processTrim(imagePath, params, { log: req.log });
+    res.locals.inputPixels = width * height;
     
     res.set({
-      'Content-Type': 'image/png',
-      'Content-Disposition': `attachment; filename="trimmed-${Date.now()}.png"`
+      ...imageHeaders(`trimmed-${Date.now()}`, params.format),
+      'X-Trim-Threshold': threshold.toString()
     });
     res.send(trimmedBuffer);
   } catch (error) {
-    console.error('❌ Trim Error:', error);
+    if (error instanceof ParamsError) return sendParamsError(res, error);
+    req.log.error('❌ Trim failed', { error });
     res.status(500).json({ error: 'Failed to trim', details: error.message });
   } finally {
     if (imagePath) await fs.unlink(imagePath).catch(() => {});
@@ -1166,118 +952,478 @@ app.post('/trim', upload.single('image'), async (req, res) => {
 });
 
 // ============================================
-// /split - SPLIT HORIZONTAL IMAGE INTO PANELS
+// /split - SPLIT IMAGE INTO PANELS
 // ============================================
-// Yatay görselleri (2 panel yan yana) ortadan böler
+// layout=auto: arka plan renkli boşluklardan (gutter) panelleri bulur
+// layout=halves: yatay görselleri (2 panel yan yana) ortadan böler
+// layout=grid:RxC: eşit R satır x C sütun
 // Her paneli auto-trim eder (boşlukları kırpar)
 // Boş panelleri atlar (skipEmpty)
 // n8n'den multipart/form-data ile kullanılır
 
-app.post('/split', upload.single('image'), async (req, res) => {
+// JSON mode body - tüm panelleri base64 olarak döner
+function splitResultJson({ width, height, panels, format, layout, trimThreshold }) {
+  const rows = panels.length ? Math.max(...panels.map(p => p.row)) + 1 : 0;
+  const cols = panels.length ? Math.max(...panels.map(p => p.col)) + 1 : 0;
+  return {
+    success: true,
+    originalSize: { width, height },
+    layout: { mode: layout.mode, rows, cols },
+    trimThreshold,
+    format: format.type,
+    mimeType: format.mime,
+    panelCount: panels.length,
+    panels: panels.map(p => ({
+      name: p.name,
+      row: p.row,
+      col: p.col,
+      source: p.source,
+      width: p.width,
+      height: p.height,
+      image: p.buffer.toString('base64')
+    }))
+  };
+}
+
+// Binary mode headers for the first panel
+function firstPanelHeaders(panels, format, trimThreshold) {
+  return {
+    ...imageHeaders(`panel-${panels[0].name}-${Date.now()}`, format),
+    'X-Panel-Name': panels[0].name,
+    'X-Panel-Source': [panels[0].source.left, panels[0].source.top, panels[0].source.width, panels[0].source.height].join(','),
+    'X-Panel-Width': panels[0].width.toString(),
+    'X-Panel-Height': panels[0].height.toString(),
+    'X-Panel-Count': panels.length.toString(),
+    'X-Trim-Threshold': trimThreshold.toString()
+  };
+}
+
+app.post('/split', trackRequest('/split'), authorize, imageInput, async (req, res) => {
+  // callbackUrl: answer 202 now, run as a job and POST the result when done
+  if (req.body.callbackUrl) return submitJob(req, res, 'split');
+  
   let imagePath;
   
   try {
     const imageFile = req.file;
-    if (!imageFile) return res.status(400).json({ error: 'Image file required' });
+    if (!imageFile) return res.status(400).json({ error: 'Image file required (or imageBase64 / imageUrl)' });
     
     imagePath = imageFile.path;
-    const startTime = Date.now();
-    
-    // Parameters
-    const trimThreshold = parseInt(req.body.threshold) || 30;
-    const trimPadding = parseInt(req.body.padding) || 10;
-    const skipEmpty = req.body.skipEmpty !== 'false'; // default true
-    const outputFormat = req.body.format || 'json'; // 'json' veya 'first' (ilk paneli binary döner)
-    
-    console.log('='.repeat(60));
-    console.log(`✂️ Split Processing`);
-    console.log(`📊 Threshold: ${trimThreshold}, Padding: ${trimPadding}, SkipEmpty: ${skipEmpty}`);
-    
-    // Get image dimensions
-    const metadata = await sharp(imagePath).metadata();
-    const { width, height } = metadata;
-    console.log(`📏 Input: ${width}x${height}`);
     
-    const mid = Math.floor(width / 2);
+    const params = parseSplitParams(req.body);
     
-    // Extract left panel
-    const leftBuffer = await sharp(imagePath)
-      .extract({ left: 0, top: 0, width: mid, height })
-      .png()
-      .toBuffer();
+    req.log.info('✂️ Split', {
+      threshold: params.trimThreshold,
+      padding: params.trimPadding,
+      skipEmpty: params.skipEmpty,
+      layout: params.layout.mode,
+      format: params.format.type
+    });
     
-    // Extract right panel
-    const rightBuffer = await sharp(imagePath)
-      .extract({ left: mid, top: 0, width: width - mid, height })
-      .png()
-      .toBuffer();
+    const result = await processSplit(imagePath, params, { log: req.log });
+    res.locals.inputPixels = result.width * result.height;
+    const { panels } = result;
     
-    const panels = [];
-    
-    for (const [idx, buffer] of [leftBuffer, rightBuffer].entries()) {
-      const panelName = idx === 0 ? 'left' : 'right';
-      
-      const trimmed = await detectAndTrimPanel(buffer, trimThreshold, trimPadding);
-      
-      if (skipEmpty && trimmed.isEmpty) {
-        console.log(`⏭️ ${panelName} panel is empty - skipping`);
-        continue;
-      }
-      
-      console.log(`✅ ${panelName}: ${trimmed.width}x${trimmed.height}`);
-      
-      panels.push({
-        name: panelName,
-        buffer: trimmed.buffer,
-        width: trimmed.width,
-        height: trimmed.height
-      });
-    }
-    
-    console.log(`📦 Result: ${panels.length} panel(s), ${Date.now() - startTime}ms`);
-    console.log('='.repeat(60));
+    req.log.info('📦 Split done', { panels: panels.length });
     
     // Output mode
-    if (outputFormat === 'first' && panels.length > 0) {
+    if (params.outputFormat === 'first' && panels.length > 0) {
       // Binary mode - direkt ilk paneli PNG olarak döner (n8n için kolay)
-      res.set({
-        'Content-Type': 'image/png',
-        'Content-Disposition': `attachment; filename="panel-${panels[0].name}-${Date.now()}.png"`,
-        'X-Panel-Name': panels[0].name,
-        'X-Panel-Width': panels[0].width.toString(),
-        'X-Panel-Height': panels[0].height.toString(),
-        'X-Panel-Count': panels.length.toString()
-      });
+      res.set(firstPanelHeaders(panels, result.format, result.trimThreshold));
       res.send(panels[0].buffer);
       return;
     }
     
-    // JSON mode - tüm panelleri base64 olarak döner
-    res.json({
-      success: true,
-      originalSize: { width, height },
-      panelCount: panels.length,
-      panels: panels.map(p => ({
-        name: p.name,
-        width: p.width,
-        height: p.height,
-        image: p.buffer.toString('base64')
-      }))
-    });
+    res.json(splitResultJson(result));
     
   } catch (error) {
-    console.error('❌ Split Error:', error);
+    if (error instanceof ParamsError) return sendParamsError(res, error);
+    req.log.error('❌ Split failed', { error });
     res.status(500).json({ error: 'Failed to split image', details: error.message });
   } finally {
     if (imagePath) await fs.unlink(imagePath).catch(() => {});
   }
 });
 
+// ============================================
+// /jobs - ASYNCHRONOUS PROCESSING
+// ============================================
+// POST /jobs takes the same fields as /crop, /trim or /split plus
+// type=crop|trim|split and returns a job id right away.
+// Jobs run one after another in submission order; GET /jobs/:id
+// reports status + current step, GET /jobs/:id/result downloads output.
+// Finished jobs (done or failed) are dropped after JOB_TTL_MS.
+// Queued jobs hold their upload, so at most JOB_QUEUE_MAX wait; past that
+// submits get 503 + Retry-After (JOB_RETRY_AFTER) like a full worker pool.
+// callbackUrl (here, or on /crop and /split, which then answer 202 like
+// /jobs) POSTs the outcome when the job finishes, see JOB CALLBACKS.
+
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS) || 60 * 60 * 1000;
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY) || 1);
+const JOB_QUEUE_MAX = Math.max(0, parseInt(process.env.JOB_QUEUE_MAX ?? 100) || 0);
+const JOB_RETRY_AFTER = parseInt(process.env.JOB_RETRY_AFTER) || 30;
+
+const jobs = new Map();
+const jobQueue = [];
+let runningJobs = 0;
+
+const jobParamParsers = {
+  crop: parseCropParams,
+  trim: parseTrimParams,
+  split: parseSplitParams,
+  extract: parseExtractParams
+};
+
+const jobRunners = {
+  crop: async (job) => {
+    const params = parseCropParams(job.body);
+    const result = await processCrop(job.imagePath, params, {
+      onStep: step => { job.step = step; },
+      rejectWhenFull: false,
+      log: job.log
+    });
+    const meta = cropMetadata(result, params);
+    const pixels = result.processingWidth * result.processingHeight;
+    if (params.responseType === 'json') return { json: cropResultJson(result, meta), pixels };
+    return {
+      buffer: result.buffer,
+      headers: { ...imageHeaders(`cropped-${job.id}`, result.format), ...cropMetadataHeaders(meta) },
+      meta,
+      pixels
+    };
+  },
+  trim: async (job) => {
+    const params = parseTrimParams(job.body);
+    const { buffer, threshold, width, height } = await processTrim(job.imagePath, params, { onStep: step => { job.step = step; }, log: job.log });
+    return {
+      buffer,
+      headers: { ...imageHeaders(`trimmed-${job.id}`, params.format), 'X-Trim-Threshold': threshold.toString() },
+      pixels: width * height
+    };
+  },
+  split: async (job) => {
+    const params = parseSplitParams(job.body);
+    const result = await processSplit(job.imagePath, params, { onStep: step => { job.step = step; }, log: job.log });
+    const pixels = result.width * result.height;
+    if (params.outputFormat === 'first' && result.panels.length > 0) {
+      return { buffer: result.panels[0].buffer, headers: firstPanelHeaders(result.panels, result.format, result.trimThreshold), pixels };
+    }
+    return { json: splitResultJson(result), pixels };
+  },
+  extract: async (job) => {
+    const params = parseExtractParams(job.body);
+    const result = await processExtract(job.imagePath, params, {
+      pool: cropPool,
+      onStep: step => { job.step = step; },
+      rejectWhenFull: false,
+      log: job.log
+    });
+    const pixels = result.width * result.height * params.upscaleFactor ** 2;
+    if (params.responseFormat === 'json') return { json: extractResultJson(result, params.sort), pixels };
+    return {
+      buffer: extractResultZip(result, params.sort),
+      headers: {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="objects-${job.id}.zip"`,
+        'X-Object-Count': result.objects.length.toString()
+      },
+      pixels
+    };
+  }
+};
+
+// ============================================
+// JOB CALLBACKS
+// ============================================
+// callbackPayload=json (default): { event, job, downloadUrl, contentType, metadata }
+// callbackPayload=binary: the result itself (image, ZIP or JSON) with its
+// X-* headers plus X-Job-Id / X-Job-Status; failed jobs always send json.
+// WEBHOOK_SECRET signs timestamp + body (X-Signature-256), CALLBACK_URL_HOSTS
+// lists where callbacks may go (empty = callbacks disabled, so the server
+// never POSTs to an internal address nobody allowed).
+// WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_MS, WEBHOOK_RETRY_MAX_MS and
+// WEBHOOK_TIMEOUT_MS tune the retries with exponential backoff.
+
+const CALLBACK_URL_HOSTS = parseHostAllowlist(process.env.CALLBACK_URL_HOSTS);
+const WEBHOOK_OPTIONS = {
+  secret: process.env.WEBHOOK_SECRET || '',
+  maxAttempts: Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5),
+  baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+  maxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60000,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+};
+
+// Returns { callback } (null when no callbackUrl) or { status, error, details }
+// Throws ParamsError for a malformed callbackUrl or callbackPayload
+function parseCallbackParams(body, req) {
+  const { callbackUrl, callbackPayload } = validateParams(CALLBACK_FIELDS, body);
+  if (!callbackUrl) return { callback: null };
+  if (CALLBACK_URL_HOSTS.length === 0) {
+    return { status: 403, error: 'Callbacks disabled', details: 'Set CALLBACK_URL_HOSTS to allow callbackUrl' };
+  }
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (e) {
+    throw new ParamsError([{ field: 'callbackUrl', message: 'must be an http(s) URL' }]);
+  }
+  if (!isHostAllowed(url, CALLBACK_URL_HOSTS)) {
+    return { status: 403, error: 'Callback host not allowed', details: `${url.host} is not in CALLBACK_URL_HOSTS` };
+  }
+  return {
+    callback: {
+      url: url.href,
+      payload: callbackPayload,
+      // downloadUrl base: PUBLIC_URL, else the host the job was submitted to
+      baseUrl: (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, ''),
+      status: 'pending', // pending | delivering | delivered | failed
+      attempts: []
+    }
+  };
+}
+
+// X-* headers of a binary result as metadata (crop results carry their own)
+function resultMetadata(result) {
+  if (result.json) return result.json;
+  if (result.meta) return result.meta;
+  return Object.fromEntries(Object.entries(result.headers).filter(([name]) => name.startsWith('X-')));
+}
+
+function callbackRequest(job) {
+  const done = job.status === 'done';
+  if (job.callback.payload === 'binary' && done) {
+    const jobHeaders = { 'X-Job-Id': job.id, 'X-Job-Status': job.status };
+    if (job.result.json) {
+      return { body: JSON.stringify(job.result.json), headers: { 'Content-Type': 'application/json', ...jobHeaders } };
+    }
+    return { body: job.result.buffer, headers: { ...job.result.headers, ...jobHeaders } };
+  }
+  const { callback, ...status } = jobStatus(job);
+  const envelope = {
+    event: `job.${job.status}`,
+    job: status,
+    downloadUrl: done ? `${job.callback.baseUrl}/jobs/${job.id}/result` : null,
+    contentType: done ? (job.result.json ? 'application/json' : job.result.headers['Content-Type']) : null,
+    metadata: done ? resultMetadata(job.result) : null
+  };
+  return { body: JSON.stringify(envelope), headers: { 'Content-Type': 'application/json' } };
+}
+
+async function deliverJobCallback(job) {
+  const { callback } = job;
+  const { body, headers } = callbackRequest(job);
+  callback.status = 'delivering';
+  job.log.info('📨 Callback delivering', { url: callback.url, payload: callback.payload });
+  
+  const { delivered } = await deliverWebhook(callback.url, { ...WEBHOOK_OPTIONS, body, headers, attempts: callback.attempts });
+  callback.status = delivered ? 'delivered' : 'failed';
+  const last = callback.attempts[callback.attempts.length - 1];
+  if (delivered) job.log.info('📨 Callback delivered', { url: callback.url, attempts: callback.attempts.length });
+  else job.log.warn('📨 Callback failed', { url: callback.url, attempts: callback.attempts.length, error: last.error });
+}
+
+function jobStatus(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    step: job.step,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    expiresAt: job.expiresAt ? new Date(job.expiresAt).toISOString() : null,
+    error: job.error,
+    resultUrl: job.status === 'done' ? `/jobs/${job.id}/result` : null,
+    ...(job.callback && {
+      callback: {
+        url: job.callback.url,
+        payload: job.callback.payload,
+        status: job.callback.status,
+        attempts: job.callback.attempts
+      }
+    })
+  };
+}
+
+function drainJobQueue() {
+  while (runningJobs < JOB_CONCURRENCY && jobQueue.length > 0) {
+    const job = jobQueue.shift();
+    runningJobs++;
+    runJob(job).finally(() => {
+      runningJobs--;
+      drainJobQueue();
+    });
+  }
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = Date.now();
+  job.log.info('🏃 Job started', { type: job.type, waitedMs: job.startedAt - job.createdAt });
+  
+  try {
+    job.result = await jobRunners[job.type](job);
+    job.status = 'done';
+    if (job.apiKey) usage.charge(job.apiKey, job.result.pixels / 1e6);
+    job.log.info('✅ Job done', { type: job.type, durationMs: Date.now() - job.startedAt });
+  } catch (error) {
+    job.log.error('❌ Job failed', { type: job.type, error });
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    job.step = null;
+    job.finishedAt = Date.now();
+    job.expiresAt = job.finishedAt + JOB_TTL_MS;
+    if (job.apiKey) usage.release(job.apiKey);
+    await fs.unlink(job.imagePath).catch(() => {});
+  }
+  
+  // Not awaited: retries must not hold a job slot
+  if (job.callback) {
+    deliverJobCallback(job).catch(error => job.log.error('❌ Callback error', { error }));
+  }
+}
+
+// Drop finished jobs past their TTL
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.expiresAt && job.expiresAt <= now) jobs.delete(id);
+  }
+}, Math.min(JOB_TTL_MS, 60 * 1000)).unref();
+
+// Queues req.file as a job of the given type and answers 202 with its status
+// (POST /jobs, and /crop or /split when they get a callbackUrl)
+async function submitJob(req, res, type) {
+  const imageFile = req.file;
+  if (!imageFile) return res.status(400).json({ error: 'Image file required' });
+  
+  if (jobQueue.length >= JOB_QUEUE_MAX) {
+    await fs.unlink(imageFile.path).catch(() => {});
+    req.log.warn('⏳ Job queue full - rejecting', { queued: jobQueue.length, maxQueue: JOB_QUEUE_MAX });
+    return sendPoolFull(res, new PoolFullError(JOB_RETRY_AFTER));
+  }
+  
+  // own keys only: type=toString or __proto__ is not a job type
+  if (typeof type !== 'string' || !Object.hasOwn(jobRunners, type)) {
+    await fs.unlink(imageFile.path).catch(() => {});
+    return res.status(400).json({ error: `Unknown job type: ${type}`, types: Object.keys(jobRunners) });
+  }
+  
+  let parsedCallback;
+  try {
+    parsedCallback = parseCallbackParams(req.body, req);
+  } catch (error) {
+    await fs.unlink(imageFile.path).catch(() => {});
+    if (error instanceof ParamsError) return sendParamsError(res, error);
+    req.log.error('❌ Job submit failed', { error });
+    return res.status(500).json({ error: 'Failed to queue job', details: error.message });
+  }
+  if (parsedCallback.error) {
+    await fs.unlink(imageFile.path).catch(() => {});
+    return res.status(parsedCallback.status).json({ error: parsedCallback.error, details: parsedCallback.details });
+  }
+  const { callback } = parsedCallback;
+  
+  // Resolve the preset now so an unknown name fails the submit, not the job
+  let body = req.body;
+  if (type === 'crop' || type === 'extract') {
+    try {
+      body = await resolveCropBody(req.body);
+    } catch (error) {
+      req.log.error('❌ Preset store failed', { error });
+      await fs.unlink(imageFile.path).catch(() => {});
+      return res.status(500).json({ error: 'Failed to load presets', details: error.message });
+    }
+    if (!body) {
+      await fs.unlink(imageFile.path).catch(() => {});
+      return res.status(400).json({ error: `Unknown preset: ${req.body.preset}` });
+    }
+  }
+  
+  // Same for invalid fields
+  try {
+    jobParamParsers[type](body);
+  } catch (error) {
+    await fs.unlink(imageFile.path).catch(() => {});
+    if (error instanceof ParamsError) return sendParamsError(res, error);
+    if (error instanceof PipelineError) return sendPipelineError(res, error);
+    req.log.error('❌ Job submit failed', { error });
+    return res.status(500).json({ error: 'Failed to queue job', details: error.message });
+  }
+  
+  const id = crypto.randomUUID();
+  const job = {
+    id,
+    type,
+    status: 'queued',
+    step: null,
+    body: { ...body },
+    imagePath: imageFile.path,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null,
+    error: null,
+    result: null,
+    callback,
+    apiKey: req.apiKey ? req.apiKey.name : null, // holds a concurrentJobs slot until it finishes
+    log: req.log.child({ jobId: id }) // keeps the submitting request's id
+  };
+  if (job.apiKey) usage.acquire(job.apiKey);
+  job.log.info('📥 Job queued', { type, waiting: jobQueue.length, callbackUrl: callback ? callback.url : undefined });
+  jobs.set(job.id, job);
+  jobQueue.push(job);
+  drainJobQueue();
+  
+  res.status(202).location(`/jobs/${job.id}`).json(jobStatus(job));
+}
+
+app.post('/jobs', trackRequest('/jobs'), authorize, upload.single('image'), (req, res) => submitJob(req, res, req.body.type || 'crop'));
+
+// With API keys a job is only visible to the key that submitted it
+function findJob(req) {
+  const job = jobs.get(req.params.id);
+  return job && (!job.apiKey || (req.apiKey && req.apiKey.name === job.apiKey)) ? job : null;
+}
+
+app.get('/jobs/:id', authenticate, (req, res) => {
+  const job = findJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+  res.json(jobStatus(job));
+});
+
+app.get('/jobs/:id/result', authenticate, (req, res) => {
+  const job = findJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+  if (job.status !== 'done') {
+    return res.status(409).json({ error: `Job is ${job.status}`, ...jobStatus(job) });
+  }
+  
+  if (job.result.json) return res.json(job.result.json);
+  res.set(job.result.headers);
+  res.send(job.result.buffer);
+});
+
 // ============================================
 // START SERVER
 // ============================================
 
-app.listen(PORT, () => {
-  console.log(`🚀 Yerlikaya Auto Crop API v3.2 running on port ${PORT}`);
-  console.log(`📡 Endpoints: /crop, /trim, /split`);
+// A broken API_KEYS_FILE stops the server instead of leaving it open
+Promise.all([apiKeys.load(), usage.load()]).then(() => {
+  // Index the result cache now (clears what a crash left half-written)
+  // instead of on the first /crop
+  if (resultCache.enabled) resultCache.load().catch(error => logger.warn('🗄️ Cache scan failed', { error }));
+  app.listen(PORT, () => {
+    logger.info('🚀 Yerlikaya Auto Crop API v3.2 running', {
+      port: Number(PORT),
+      endpoints: ['/crop', '/crop/batch', '/extract', '/analyze', '/trim', '/split', '/jobs', '/presets', '/usage', '/metrics', '/openapi.json'],
+      logLevel: logger.level,
+      cache: resultCache.enabled ? { dir: resultCache.dir, maxBytes: resultCache.maxBytes } : null,
+      apiKeys: apiKeys.enabled ? apiKeys.keys.size : null
+    });
+  });
+}, error => {
+  logger.error('❌ Startup failed', { error });
+  process.exit(1);
 });
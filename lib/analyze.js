@@ -0,0 +1,173 @@
+// Image triage for /analyze
+// Runs Steps 1-4 of the /crop pipeline (background, distance field, flood
+// fill, islands, edges) and reports numbers instead of pixels, so callers
+// can route unusual images to a human before they go through /crop.
+
+const {
+  rgbToLab,
+  deltaE76,
+  rgbToHex,
+  sampleEdgePixels,
+  resolveBackground,
+  fitGradientBackground,
+  backgroundDistanceField,
+  suggestThreshold,
+  floodFillBackground,
+  removeInteriorIslands,
+  findEdgePixels
+} = require('./pipeline');
+const { logger } = require('./logger');
+
+// Corner-to-corner Delta E of the fitted surface above which the backdrop
+// is reported as a gradient
+const GRADIENT_MIN_RANGE = 6;
+// Share of border samples that must match the background before the
+// border counts as clean
+const CLEAN_BORDER_RATIO = 0.9;
+// Histogram separability below which backdrop and subject overlap
+const LOW_SEPARABILITY = 0.6;
+// Background coverage (percent) outside which the framing looks unusual
+const MIN_BACKGROUND_COVERAGE = 5;
+const MAX_BACKGROUND_COVERAGE = 99.5;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// Largest Delta E between the corners of a gradient fit (0 when it fell back to flat)
+function gradientRange(model) {
+  if (model.type !== 'gradient') return 0;
+  const labs = model.colors.map(c => rgbToLab(c.r, c.g, c.b));
+  let range = 0;
+  for (let i = 0; i < labs.length; i++) {
+    for (let j = i + 1; j < labs.length; j++) {
+      range = Math.max(range, deltaE76(labs[i].L, labs[i].a, labs[i].b, labs[j].L, labs[j].a, labs[j].b));
+    }
+  }
+  return range;
+}
+
+// Foreground bounding box and the image borders it reaches
+function contentBounds(mask, width, height) {
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      if (mask[row + x] === 1) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  if (maxX < 0) {
+    return { contentBox: null, touchesBorder: { top: false, right: false, bottom: false, left: false, any: false } };
+  }
+  const touchesBorder = { top: minY === 0, right: maxX === width - 1, bottom: maxY === height - 1, left: minX === 0 };
+  touchesBorder.any = touchesBorder.top || touchesBorder.right || touchesBorder.bottom || touchesBorder.left;
+  return {
+    contentBox: { left: minX, top: minY, width: maxX - minX + 1, height: maxY - minY + 1 },
+    touchesBorder
+  };
+}
+
+function runAnalyzePipeline(data, width, height, channels, params, onStep = () => {}) {
+  const { minIslandSize, colorMetric = 'cie76', bgModel = 'flat' } = params;
+
+  onStep('detect-background');
+  const bg = resolveBackground(data, width, height, channels, params);
+  const bgColor = bg.colorAt(Math.floor(height / 2) * width + Math.floor(width / 2));
+  // Flat vs gradient: fit the surface even when the flat model is used
+  const gradient = bg.type === 'gradient' ? bg : fitGradientBackground(data, width, height, channels);
+  const range = gradientRange(gradient);
+
+  onStep('distance-field');
+  const bgDistance = backgroundDistanceField(data, width, height, channels, bg, colorMetric);
+  const suggested = suggestThreshold(bgDistance, colorMetric);
+  const threshold = params.threshold === 'auto' ? suggested.threshold : params.threshold;
+
+  // Spread: how far the border samples sit from the expected background
+  const borderDistances = sampleEdgePixels(data, width, height, channels)
+    .map(s => bgDistance[s.y * width + s.x])
+    .sort((a, b) => a - b);
+  const borderMatch = borderDistances.filter(d => d <= threshold).length / borderDistances.length;
+
+  onStep('flood-fill');
+  const mask = floodFillBackground(bgDistance, width, height, threshold);
+
+  onStep('islands');
+  const { removed, islands } = removeInteriorIslands(bgDistance, mask, width, height, threshold * 1.2, minIslandSize);
+
+  onStep('edges');
+  const edgePixels = findEdgePixels(mask, width, height);
+
+  let bgCount = 0;
+  for (let i = 0; i < mask.length; i++) if (mask[i] === 1) bgCount++;
+  const backgroundCoverage = bgCount / mask.length * 100;
+  const { contentBox, touchesBorder } = contentBounds(mask, width, height);
+
+  // Confidence: clean histogram split x clean border, discounted for framing problems
+  const warnings = [];
+  let confidence = suggested.separability * borderMatch;
+  if (suggested.separability < LOW_SEPARABILITY) warnings.push('low-separability');
+  if (borderMatch < CLEAN_BORDER_RATIO) warnings.push('noisy-border');
+  if (touchesBorder.any) {
+    warnings.push('touches-border');
+    confidence *= 0.75;
+  }
+  if (!contentBox) {
+    warnings.push('no-foreground');
+    confidence = 0;
+  } else if (backgroundCoverage < MIN_BACKGROUND_COVERAGE || backgroundCoverage > MAX_BACKGROUND_COVERAGE) {
+    warnings.push('unusual-coverage');
+    confidence *= 0.5;
+  }
+  const suggestedModel = range >= GRADIENT_MIN_RANGE ? 'gradient' : 'flat';
+  if (suggestedModel !== bgModel) warnings.push(`try-bgModel-${suggestedModel}`);
+
+  logger.info('🔎 Analyze report', {
+    step: 'analyze',
+    backgroundModel: bg.type,
+    background: rgbToHex(bgColor),
+    threshold,
+    backgroundCoverage: round(backgroundCoverage, 2),
+    edgePixels: edgePixels.size,
+    islandsRemoved: islands,
+    islandPixels: removed,
+    confidence: round(confidence, 2),
+    warnings
+  });
+
+  return {
+    background: {
+      model: bg.type,
+      suggestedModel,
+      color: rgbToHex(bgColor),
+      colors: bg.colors.map(rgbToHex),
+      gradientRange: round(range),
+      spread: {
+        median: round(percentile(borderDistances, 0.5)),
+        p90: round(percentile(borderDistances, 0.9)),
+        borderMatch: round(borderMatch, 3)
+      }
+    },
+    colorMetric,
+    threshold,
+    backgroundCoverage: round(backgroundCoverage, 2),
+    edgePixelCount: edgePixels.size,
+    islandCount: islands,
+    islandPixels: removed,
+    contentBox,
+    touchesBorder,
+    suggestedThreshold: suggested.threshold,
+    thresholdMethod: suggested.method,
+    separability: round(suggested.separability, 3),
+    confidence: round(confidence, 2),
+    warnings
+  };
+}
+
+module.exports = { runAnalyzePipeline };
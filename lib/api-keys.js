@@ -0,0 +1,206 @@
+// API keys and per-key limits
+// ApiKeyStore reads the key file (API_KEYS_FILE):
+//   {
+//     "defaults": { "requestsPerMinute": 60, "concurrentJobs": 2, "megapixelsPerDay": 2000 },
+//     "keys": [
+//       { "name": "n8n", "key": "<secret>" },
+//       { "name": "batch", "keySha256": "<hex of sha256(secret)>", "megapixelsPerDay": 20000 }
+//     ]
+//   }
+// A limit left out (or 0) is unlimited. Keys are compared by SHA-256, so
+// the file may hold hashes instead of the secrets.
+// UsageTracker keeps requests in the last minute and running requests/jobs
+// in memory; megapixels per UTC day are saved to the usage file so a
+// restart does not reset the quota.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const LIMITS = ['requestsPerMinute', 'concurrentJobs', 'megapixelsPerDay'];
+const WINDOW_MS = 60 * 1000;
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+class ApiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiKeyError';
+  }
+}
+
+class ApiKeyStore {
+  constructor(file) {
+    this.file = file;
+    this.keys = new Map(); // sha256 -> { name, limits }
+  }
+
+  get enabled() {
+    return Boolean(this.file);
+  }
+
+  // Throws ApiKeyError for a missing or malformed file: with API_KEYS_FILE
+  // set the server must not start open
+  async load() {
+    if (!this.enabled) return;
+    let config;
+    try {
+      config = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      throw new ApiKeyError(`Cannot read API_KEYS_FILE: ${error.message}`);
+    }
+    const defaults = config.defaults || {};
+    const keys = new Map();
+    for (const [i, entry] of (config.keys || []).entries()) {
+      const name = entry && entry.name;
+      if (typeof name !== 'string' || !name) throw new ApiKeyError(`keys[${i}] needs a name`);
+      const hash = typeof entry.key === 'string' && entry.key ? sha256(entry.key) : String(entry.keySha256 || '').toLowerCase();
+      if (!/^[0-9a-f]{64}$/.test(hash)) throw new ApiKeyError(`keys[${i}] (${name}) needs a key or keySha256`);
+      const limits = {};
+      for (const limit of LIMITS) {
+        const value = Number(entry[limit] ?? defaults[limit] ?? 0);
+        if (!Number.isFinite(value) || value < 0) throw new ApiKeyError(`keys[${i}] (${name}) ${limit} must be a number >= 0`);
+        limits[limit] = value;
+      }
+      keys.set(hash, { name, limits });
+    }
+    this.keys = keys;
+  }
+
+  find(presented) {
+    if (typeof presented !== 'string' || !presented) return null;
+    return this.keys.get(sha256(presented)) || null;
+  }
+}
+
+const utcDay = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+const nextUtcMidnight = (now = Date.now()) => {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+};
+
+class UsageTracker {
+  constructor(file) {
+    this.file = file;
+    this.requests = new Map(); // name -> request timestamps in the last minute
+    this.active = new Map(); // name -> running requests + queued/running jobs
+    this.days = {}; // name -> { day, megapixels }
+    this.saving = false;
+    this.dirty = false;
+  }
+
+  async load() {
+    try {
+      this.days = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  recentRequests(name, now) {
+    const times = (this.requests.get(name) || []).filter(t => t > now - WINDOW_MS);
+    this.requests.set(name, times);
+    return times;
+  }
+
+  megapixelsToday(name, now) {
+    const entry = this.days[name];
+    return entry && entry.day === utcDay(now) ? entry.megapixels : 0;
+  }
+
+  // Checks the limits before a request runs and counts it
+  // Returns null, or { status, error, details, retryAfter } to refuse it
+  admit({ name, limits }, now = Date.now()) {
+    const used = this.megapixelsToday(name, now);
+    if (limits.megapixelsPerDay && used >= limits.megapixelsPerDay) {
+      return {
+        status: 403,
+        error: 'Daily quota exceeded',
+        details: `${Math.round(used * 100) / 100} of ${limits.megapixelsPerDay} megapixels used today (UTC)`,
+        retryAfter: Math.ceil((nextUtcMidnight(now) - now) / 1000)
+      };
+    }
+    const times = this.recentRequests(name, now);
+    if (limits.requestsPerMinute && times.length >= limits.requestsPerMinute) {
+      return {
+        status: 429,
+        error: 'Rate limit exceeded',
+        details: `${limits.requestsPerMinute} requests per minute`,
+        retryAfter: Math.max(1, Math.ceil((times[0] + WINDOW_MS - now) / 1000))
+      };
+    }
+    if (limits.concurrentJobs && (this.active.get(name) || 0) >= limits.concurrentJobs) {
+      return {
+        status: 429,
+        error: 'Too many concurrent jobs',
+        details: `${limits.concurrentJobs} request(s) or job(s) at a time`,
+        retryAfter: 5
+      };
+    }
+    times.push(now);
+    return null;
+  }
+
+  acquire(name) {
+    this.active.set(name, (this.active.get(name) || 0) + 1);
+  }
+
+  release(name) {
+    this.active.set(name, Math.max(0, (this.active.get(name) || 0) - 1));
+  }
+
+  charge(name, megapixels, now = Date.now()) {
+    if (!(megapixels > 0)) return;
+    const day = utcDay(now);
+    const entry = this.days[name] && this.days[name].day === day ? this.days[name] : { day, megapixels: 0 };
+    entry.megapixels = Math.round((entry.megapixels + megapixels) * 1000) / 1000;
+    this.days[name] = entry;
+    this.save();
+  }
+
+  // One write at a time (temp file + rename); charges made during a write
+  // are saved right after it
+  save() {
+    if (this.saving) {
+      this.dirty = true;
+      return;
+    }
+    this.saving = true;
+    const snapshot = JSON.stringify(this.days, null, 2);
+    (async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(`${this.file}.tmp`, snapshot);
+      await fs.rename(`${this.file}.tmp`, this.file);
+    })().catch(error => logger.warn('🔑 Usage file write failed', { error })).finally(() => {
+      this.saving = false;
+      if (this.dirty) {
+        this.dirty = false;
+        this.save();
+      }
+    });
+  }
+
+  report({ name, limits }, now = Date.now()) {
+    const requests = this.recentRequests(name, now).length;
+    const megapixels = this.megapixelsToday(name, now);
+    const remaining = (limit, used) => (limit ? Math.max(0, Math.round((limit - used) * 1000) / 1000) : null);
+    return {
+      key: name,
+      limits: Object.fromEntries(LIMITS.map(limit => [limit, limits[limit] || null])), // null = unlimited
+      usage: {
+        requestsLastMinute: requests,
+        concurrentJobs: this.active.get(name) || 0,
+        megapixelsToday: megapixels
+      },
+      remaining: {
+        requestsThisMinute: remaining(limits.requestsPerMinute, requests),
+        megapixelsToday: remaining(limits.megapixelsPerDay, megapixels)
+      },
+      day: utcDay(now),
+      quotaResetsAt: new Date(nextUtcMidnight(now)).toISOString()
+    };
+  }
+}
+
+module.exports = { ApiKeyStore, ApiKeyError, UsageTracker };
@@ -0,0 +1,105 @@
+// Fixed-canvas placement for /crop (Step 8b)
+// Scales the trimmed subject to fit canvasWidth x canvasHeight minus the
+// margins and places it centered, bottom-aligned, or with its alpha
+// center of mass at the canvas center.
+
+const sharp = require('sharp');
+
+const CANVAS_ALIGNS = ['center', 'bottom', 'mass'];
+const MAX_CANVAS_SIZE = 10000;
+
+function parseHex(hex) {
+  const clean = String(hex).replace('#', '');
+  if (!/^[0-9a-f]{6}$/i.test(clean)) return null;
+  return {
+    r: parseInt(clean.slice(0, 2), 16),
+    g: parseInt(clean.slice(2, 4), 16),
+    b: parseInt(clean.slice(4, 6), 16)
+  };
+}
+
+// Returns null when no canvas size is given. A single dimension makes a square.
+// canvasMargin: "40" (px) or "8%" (of each canvas side)
+function parseCanvasParams(body) {
+  const clampSize = v => Math.min(MAX_CANVAS_SIZE, Math.max(1, v));
+  let width = parseInt(body.canvasWidth);
+  let height = parseInt(body.canvasHeight);
+  if (!width && !height) return null;
+  width = clampSize(width || height);
+  height = clampSize(height || width);
+
+  const marginRaw = String(body.canvasMargin || '0').trim();
+  const percent = marginRaw.endsWith('%');
+  const marginValue = Math.max(0, parseFloat(marginRaw) || 0);
+  const margin = percent
+    ? { x: Math.round(width * Math.min(49, marginValue) / 100), y: Math.round(height * Math.min(49, marginValue) / 100) }
+    : { x: Math.min(Math.floor((width - 1) / 2), Math.round(marginValue)), y: Math.min(Math.floor((height - 1) / 2), Math.round(marginValue)) };
+
+  const align = body.canvasAlign === 'center-of-mass' ? 'mass' : body.canvasAlign;
+  const background = !body.canvasBackground || body.canvasBackground === 'transparent'
+    ? null
+    : parseHex(body.canvasBackground);
+
+  return {
+    width,
+    height,
+    margin,
+    align: CANVAS_ALIGNS.includes(align) ? align : 'center',
+    background
+  };
+}
+
+// Alpha-weighted centroid of a raw RGBA buffer, sampled on a grid so
+// large subjects stay cheap
+function alphaCentroid(data, width, height) {
+  const step = Math.max(1, Math.floor(Math.sqrt(width * height / 250000)));
+  let sumX = 0, sumY = 0, total = 0;
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const a = data[(y * width + x) * 4 + 3];
+      if (a === 0) continue;
+      sumX += x * a; sumY += y * a; total += a;
+    }
+  }
+  if (total === 0) return { x: width / 2, y: height / 2 };
+  return { x: sumX / total, y: sumY / total };
+}
+
+// image: sharp instance holding the trimmed subject
+// Returns { image, placement } with image ready for encodeImage
+async function placeOnCanvas(image, canvas) {
+  const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+  const availWidth = Math.max(1, canvas.width - canvas.margin.x * 2);
+  const availHeight = Math.max(1, canvas.height - canvas.margin.y * 2);
+  const scale = Math.min(availWidth / info.width, availHeight / info.height);
+  const width = Math.max(1, Math.round(info.width * scale));
+  const height = Math.max(1, Math.round(info.height * scale));
+
+  const subject = await sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } })
+    .resize(width, height, { kernel: sharp.kernel.lanczos3 })
+    .raw()
+    .toBuffer();
+
+  let left = Math.round((canvas.width - width) / 2);
+  let top = Math.round((canvas.height - height) / 2);
+  if (canvas.align === 'bottom') {
+    top = canvas.height - canvas.margin.y - height;
+  } else if (canvas.align === 'mass') {
+    // Center of mass on the canvas center, but never past the margins
+    const centroid = alphaCentroid(subject, width, height);
+    left = Math.round(canvas.width / 2 - centroid.x);
+    top = Math.round(canvas.height / 2 - centroid.y);
+    left = Math.min(canvas.width - canvas.margin.x - width, Math.max(canvas.margin.x, left));
+    top = Math.min(canvas.height - canvas.margin.y - height, Math.max(canvas.margin.y, top));
+  }
+
+  const background = canvas.background ? { ...canvas.background, alpha: 1 } : { r: 0, g: 0, b: 0, alpha: 0 };
+  const placed = sharp({
+    create: { width: canvas.width, height: canvas.height, channels: 4, background }
+  }).composite([{ input: subject, raw: { width, height, channels: 4 }, left, top }]);
+
+  return { image: placed, placement: { left, top, width, height } };
+}
+
+module.exports = { CANVAS_ALIGNS, MAX_CANVAS_SIZE, parseCanvasParams, placeOnCanvas };
@@ -0,0 +1,117 @@
+// Multi-object extraction for /extract
+// Runs the /crop pixel pipeline, then labels connected foreground regions
+// of the flood-fill mask and cuts every region out as its own RGBA raster.
+
+const { runCropPipeline } = require('./pipeline');
+const { logger } = require('./logger');
+
+// Transparent border kept around each object so feathered/anti-aliased
+// alpha outside the mask is not clipped (trimmed again after encoding)
+const OBJECT_PADDING = 4;
+
+// 8-connected labelling of mask pixels that are not background (mask !== 1)
+// labels: 0 = background, -1 = component below minArea, >0 = component id
+function labelComponents(mask, width, height, minArea) {
+  const labels = new Int32Array(width * height);
+  const stack = new Int32Array(width * height);
+  const components = [];
+  let nextId = 1;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (mask[start] === 1 || labels[start] !== 0) continue;
+
+    const id = nextId++;
+    let top = 0, area = 0, sumX = 0, sumY = 0;
+    let minX = width, minY = height, maxX = 0, maxY = 0;
+    labels[start] = id;
+    stack[top++] = start;
+
+    while (top > 0) {
+      const idx = stack[--top];
+      const x = idx % width, y = (idx - x) / width;
+      area++;
+      sumX += x;
+      sumY += y;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width) continue;
+          const nIdx = ny * width + nx;
+          if (mask[nIdx] === 1 || labels[nIdx] !== 0) continue;
+          labels[nIdx] = id;
+          stack[top++] = nIdx;
+        }
+      }
+    }
+
+    components.push({
+      id,
+      area,
+      left: minX,
+      top: minY,
+      width: maxX - minX + 1,
+      height: maxY - minY + 1,
+      centroid: { x: sumX / area, y: sumY / area }
+    });
+  }
+
+  const kept = components.filter(c => c.area >= minArea);
+  if (kept.length < components.length) {
+    const keep = new Set(kept.map(c => c.id));
+    for (let i = 0; i < labels.length; i++) {
+      if (labels[i] > 0 && !keep.has(labels[i])) labels[i] = -1;
+    }
+  }
+
+  return { labels, components: kept };
+}
+
+// Copies the component's padded box out of the processed RGBA data;
+// pixels that belong to other components (or dropped specks) become transparent
+function cutComponent(data, labels, component, width, height, channels) {
+  const left = Math.max(0, component.left - OBJECT_PADDING);
+  const top = Math.max(0, component.top - OBJECT_PADDING);
+  const right = Math.min(width, component.left + component.width + OBJECT_PADDING);
+  const bottom = Math.min(height, component.top + component.height + OBJECT_PADDING);
+  const w = right - left, h = bottom - top;
+  const out = new Uint8Array(w * h * channels);
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const srcIdx = (top + y) * width + (left + x);
+      const label = labels[srcIdx];
+      if (label !== 0 && label !== component.id) continue;
+      out.set(data.subarray(srcIdx * channels, (srcIdx + 1) * channels), (y * w + x) * channels);
+    }
+  }
+
+  return { data: out, box: { left, top, width: w, height: h } };
+}
+
+function runExtractPipeline(data, width, height, channels, params, onStep = () => {}) {
+  const { data: processedData, bgColor, bgColors, threshold, mask } = runCropPipeline(
+    data, width, height, channels,
+    { ...params, output: 'image', keepMask: true },
+    onStep
+  );
+
+  onStep('components');
+  const { labels, components } = labelComponents(mask, width, height, params.minArea);
+  logger.info('🧩 Components', { step: 'components', minArea: params.minArea, objects: components.length });
+
+  const objects = components.map(component => {
+    const { data: objectData, box } = cutComponent(processedData, labels, component, width, height, channels);
+    return { ...component, box, data: objectData };
+  });
+
+  return { bgColor, bgColors, threshold, objects };
+}
+
+module.exports = { labelComponents, cutComponent, runExtractPipeline };
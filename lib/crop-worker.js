@@ -0,0 +1,48 @@
+// Worker thread entry for the /crop pixel pipeline (Steps 1-7e)
+// Receives a raw RGBA buffer, posts step progress and log events (see
+// lib/logger.js), transfers the result back.
+// task=extract (/extract) returns one cut-out raster per object instead,
+// task=analyze (/analyze) only a JSON-able report.
+
+const { parentPort } = require('worker_threads');
+const { runCropPipeline } = require('./pipeline');
+const { runExtractPipeline } = require('./components');
+const { runAnalyzePipeline } = require('./analyze');
+
+// Results built with Buffer.from() may sit in Node's shared buffer pool;
+// copy those into their own ArrayBuffer so the transfer moves only our pixels
+function toTransferable(buf) {
+  if (buf.byteOffset === 0 && buf.byteLength === buf.buffer.byteLength) return buf;
+  return new Uint8Array(buf);
+}
+
+parentPort.on('message', ({ task = 'crop', data, width, height, channels, params }) => {
+  // at: wall-clock start of the step (ms), so timings do not depend on
+  // when the main thread gets round to the message
+  const onStep = step => {
+    parentPort.postMessage({ type: 'step', step, at: performance.timeOrigin + performance.now() });
+  };
+  try {
+    if (task === 'analyze') {
+      parentPort.postMessage({ type: 'done', result: runAnalyzePipeline(data, width, height, channels, params, onStep) });
+      return;
+    }
+    if (task === 'extract') {
+      const result = runExtractPipeline(data, width, height, channels, params, onStep);
+      const objects = result.objects.map(o => ({ ...o, data: toTransferable(o.data) }));
+      parentPort.postMessage(
+        { type: 'done', result: { ...result, objects } },
+        objects.map(o => o.data.buffer)
+      );
+      return;
+    }
+    const result = runCropPipeline(data, width, height, channels, params, onStep);
+    const out = toTransferable(result.data);
+    parentPort.postMessage(
+      { type: 'done', result: { ...result, data: out } },
+      [out.buffer]
+    );
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', message: error.message });
+  }
+});
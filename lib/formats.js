@@ -0,0 +1,63 @@
+// Output encoding for /crop, /trim and /split
+// format=png|webp|avif|jpeg|tiff with quality (webp, avif, jpeg) and
+// effort (webp, avif); formats without an alpha channel are flattened onto
+// matteColor first. png and tiff are always lossless.
+
+const OUTPUT_FORMATS = {
+  png:  { mime: 'image/png',  ext: 'png',  alpha: true },
+  webp: { mime: 'image/webp', ext: 'webp', alpha: true,  quality: 80, effort: 4, maxEffort: 6 },
+  avif: { mime: 'image/avif', ext: 'avif', alpha: true,  quality: 50, effort: 4, maxEffort: 9 },
+  jpeg: { mime: 'image/jpeg', ext: 'jpg',  alpha: false, quality: 85 },
+  tiff: { mime: 'image/tiff', ext: 'tiff', alpha: true }
+};
+
+const FORMAT_ALIASES = { jpg: 'jpeg', tif: 'tiff' };
+
+function parseHex(hex, fallback) {
+  const clean = String(hex || '').replace('#', '');
+  if (!/^[0-9a-f]{6}$/i.test(clean)) return fallback;
+  return {
+    r: parseInt(clean.slice(0, 2), 16),
+    g: parseInt(clean.slice(2, 4), 16),
+    b: parseInt(clean.slice(4, 6), 16)
+  };
+}
+
+// The routes validate these fields first (FORMAT_FIELDS in lib/params.js);
+// here unknown formats fall back to png, out-of-range numbers are clamped
+function parseFormatParams(body) {
+  const requested = String(body.format || 'png').toLowerCase();
+  const type = OUTPUT_FORMATS[FORMAT_ALIASES[requested] || requested] ? (FORMAT_ALIASES[requested] || requested) : 'png';
+  const spec = OUTPUT_FORMATS[type];
+  const effort = parseInt(body.effort);
+  return {
+    type,
+    mime: spec.mime,
+    ext: spec.ext,
+    quality: Math.min(100, Math.max(1, parseInt(body.quality) || spec.quality || 80)),
+    effort: Math.min(spec.maxEffort || 0, Math.max(0, Number.isNaN(effort) ? spec.effort || 0 : effort)),
+    lossless: body.lossless === 'true' || body.lossless === '1',
+    matteColor: parseHex(body.matteColor, { r: 255, g: 255, b: 255 })
+  };
+}
+
+// Appends the encoder for `format` (from parseFormatParams) to a sharp pipeline
+function encodeImage(image, format) {
+  const spec = OUTPUT_FORMATS[format.type];
+  if (!spec.alpha) image = image.flatten({ background: format.matteColor });
+
+  switch (format.type) {
+    case 'webp':
+      return image.webp({ quality: format.quality, effort: format.effort, lossless: format.lossless });
+    case 'avif':
+      return image.avif({ quality: format.quality, effort: format.effort, lossless: format.lossless });
+    case 'jpeg':
+      return image.jpeg({ quality: format.quality, mozjpeg: true });
+    case 'tiff':
+      return image.tiff({ compression: 'lzw' });
+    default:
+      return image.png({ compressionLevel: 6, adaptiveFiltering: true });
+  }
+}
+
+module.exports = { OUTPUT_FORMATS, FORMAT_ALIASES, parseFormatParams, encodeImage };
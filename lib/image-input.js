@@ -0,0 +1,130 @@
+// JSON image input for /crop, /trim and /split
+// imageBase64 (plain or data: URL) or imageUrl instead of a multipart upload.
+// URLs are fetched only from allow-listed hosts, with a byte and time limit;
+// redirects are followed by hand so every hop is checked against the list.
+
+const MAX_REDIRECTS = 3;
+
+class ImageInputError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ImageInputError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// IMAGE_URL_HOSTS: "cdn.example.com,*.storage.example.com,localhost:8080"
+// An entry with a port only matches that port; "*." matches any subdomain
+function parseHostAllowlist(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isHostAllowed(url, allowlist) {
+  const host = url.host.toLowerCase();
+  const hostname = url.hostname.toLowerCase();
+  return allowlist.some(entry => {
+    const target = entry.includes(':') ? host : hostname;
+    if (entry.startsWith('*.')) return target.endsWith(entry.slice(1));
+    return target === entry;
+  });
+}
+
+function decodeBase64Image(value, maxBytes) {
+  if (typeof value !== 'string') throw new ImageInputError(400, 'Invalid imageBase64', 'imageBase64 must be a string');
+  const base64 = value.replace(/^data:[^,]*;base64,/, '').replace(/\s/g, '');
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(base64)) {
+    throw new ImageInputError(400, 'Invalid imageBase64', 'imageBase64 is not valid base64');
+  }
+  if (Math.floor(base64.length * 3 / 4) > maxBytes) {
+    throw new ImageInputError(413, 'Image too large', `imageBase64 decodes to more than ${maxBytes} bytes`);
+  }
+  return Buffer.from(base64, 'base64');
+}
+
+function checkUrl(raw, allowlist) {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (e) {
+    throw new ImageInputError(400, 'Invalid imageUrl', `"${raw}" is not a URL`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ImageInputError(400, 'Invalid imageUrl', 'imageUrl must be http or https');
+  }
+  if (!isHostAllowed(url, allowlist)) {
+    throw new ImageInputError(403, 'Image host not allowed', `${url.host} is not in IMAGE_URL_HOSTS`);
+  }
+  return url;
+}
+
+// An HTML error page or JSON body answered with 200 is not an image;
+// generic binary types are let through for storage buckets that use them
+async function checkContentType(response, url) {
+  const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!type || type.startsWith('image/') || type === 'application/octet-stream' || type === 'binary/octet-stream') return;
+  if (response.body) await response.body.cancel().catch(() => {});
+  throw new ImageInputError(415, 'Not an image', `${url.host} answered with content-type ${type}`);
+}
+
+// Reads the body into one Buffer, failing as soon as it passes maxBytes
+async function readLimited(response, maxBytes) {
+  const declared = parseInt(response.headers.get('content-length'));
+  if (declared > maxBytes) {
+    throw new ImageInputError(413, 'Image too large', `imageUrl is ${declared} bytes, max ${maxBytes}`);
+  }
+  const chunks = [];
+  let size = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel().catch(() => {});
+      throw new ImageInputError(413, 'Image too large', `imageUrl is more than ${maxBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+// { allowlist, maxBytes, timeoutMs } -> Buffer
+async function fetchImage(raw, { allowlist, maxBytes, timeoutMs }) {
+  if (typeof raw !== 'string') throw new ImageInputError(400, 'Invalid imageUrl', 'imageUrl must be a string');
+  if (allowlist.length === 0) {
+    throw new ImageInputError(403, 'Image URLs disabled', 'Set IMAGE_URL_HOSTS to allow imageUrl');
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    let url = checkUrl(raw, allowlist);
+    for (let hop = 0; ; hop++) {
+      const response = await fetch(url, { redirect: 'manual', signal: controller.signal });
+      if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+        if (hop >= MAX_REDIRECTS) throw new ImageInputError(502, 'Image fetch failed', 'Too many redirects');
+        url = checkUrl(new URL(response.headers.get('location'), url).href, allowlist);
+        continue;
+      }
+      if (!response.ok) {
+        throw new ImageInputError(502, 'Image fetch failed', `${url.host} answered ${response.status}`);
+      }
+      await checkContentType(response, url);
+      return await readLimited(response, maxBytes);
+    }
+  } catch (error) {
+    if (error instanceof ImageInputError) throw error;
+    if (controller.signal.aborted) {
+      throw new ImageInputError(504, 'Image fetch timed out', `No complete response within ${timeoutMs}ms`);
+    }
+    throw new ImageInputError(502, 'Image fetch failed', error.cause ? error.cause.message : error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { ImageInputError, parseHostAllowlist, isHostAllowed, decodeBase64Image, fetchImage };
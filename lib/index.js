@@ -0,0 +1,184 @@
+// Library entry (package main): the /crop, /extract, /analyze, /trim and
+// /split pipeline without the HTTP server
+//
+//   const autoCrop = require('enhanced-auto-crop');
+//   const { buffer, trim } = await autoCrop.crop(fs.readFileSync('photo.jpg'), { threshold: 12, format: 'webp' });
+//   const { panels } = await autoCrop.split('sheet.png', { layout: 'grid:2x3' });
+//
+// input: a Buffer or a file path. options: the HTTP form fields
+// (lib/params.js, GET /openapi.json) as strings or plain JSON values;
+// preset=<name> is read from PRESETS_FILE (default data/presets.json) like
+// the server does. Results carry the same metadata as the JSON responses,
+// with Buffers instead of base64. Bad options throw ParamsError
+// (errors: [{ field, message }]) or PipelineError before any processing.
+// The third argument takes { log, onStep }: a Logger (lib/logger.js) for
+// the pipeline events, silent by default, and onStep(name) per step.
+// Pixel loops run on a shared worker pool (one worker per CPU unless
+// configure({ workers }) says otherwise); idle workers never keep the
+// process alive, close() ends them.
+
+const os = require('os');
+const path = require('path');
+const { WorkerPool } = require('./worker-pool');
+const { PresetStore, normalizeParams } = require('./presets');
+const { Logger } = require('./logger');
+const { ParamsError } = require('./params');
+const { PipelineError, rgbToHex } = require('./pipeline');
+const {
+  parseCropParams,
+  parseExtractParams,
+  parseTrimParams,
+  parseSplitParams,
+  stepTimer,
+  renderCrop,
+  cropMetadata,
+  processExtract,
+  processAnalyze,
+  processTrim,
+  processSplit
+} = require('./processing');
+
+const silentLogger = new Logger({ sink: () => {} });
+
+let workers = os.cpus().length;
+let pool = null;
+let presetStore = null;
+
+// workers: pool size for the next call (a running pool is closed)
+// presetsFile: where preset=<name> is looked up
+function configure(settings = {}) {
+  if (settings.workers !== undefined) {
+    workers = Math.max(1, parseInt(settings.workers) || 1);
+    close();
+  }
+  if (settings.presetsFile !== undefined) presetStore = new PresetStore(settings.presetsFile);
+}
+
+function workerPool() {
+  if (!pool) {
+    // no 503s here: every task waits for a worker
+    pool = new WorkerPool(path.join(__dirname, 'crop-worker.js'), { size: workers, maxQueue: Infinity });
+  }
+  return pool;
+}
+
+function close() {
+  if (pool) pool.close();
+  pool = null;
+}
+
+// Options as form strings, preset fields merged under the explicit ones
+// (unknown preset = ParamsError, like an invalid field)
+async function resolveOptions(options = {}, { presets = false } = {}) {
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+  const body = normalizeParams(given);
+  if (!presets || !body.preset) return body;
+  if (!presetStore) presetStore = new PresetStore(process.env.PRESETS_FILE || path.join(__dirname, '..', 'data', 'presets.json'));
+  const preset = await presetStore.get(body.preset);
+  if (!preset) throw new ParamsError([{ field: 'preset', message: `unknown preset "${body.preset}"` }]);
+  const { preset: _name, ...explicit } = body;
+  return { ...preset.params, ...explicit };
+}
+
+const PARSERS = {
+  crop: { parse: parseCropParams, presets: true },
+  extract: { parse: parseExtractParams, presets: true },
+  analyze: { parse: body => ({ ...parseCropParams(body), upscaleFactor: 1 }), presets: true },
+  trim: { parse: parseTrimParams },
+  split: { parse: parseSplitParams }
+};
+
+async function parseOptions(operation, options) {
+  const { parse, presets } = PARSERS[operation];
+  return parse(await resolveOptions(options, { presets }));
+}
+
+// Throws ParamsError / PipelineError when options would be rejected by
+// crop, extract, analyze, trim or split
+async function validateOptions(operation, options) {
+  if (!PARSERS[operation]) throw new Error(`Unknown operation: ${operation}`);
+  await parseOptions(operation, options);
+}
+
+// Background removal + crop: { buffer, mimeType, extension, ...metadata }
+// (metadata as in the /crop responseType=json body)
+async function crop(input, options, { log = silentLogger, onStep = () => {} } = {}) {
+  const params = await parseOptions('crop', options);
+  const timer = stepTimer(onStep);
+  const result = await renderCrop(input, params, { pool: workerPool(), timer, rejectWhenFull: false, log });
+  result.timings = timer.done();
+  const { cache, ...metadata } = cropMetadata(result, params);
+  return { buffer: result.buffer, mimeType: result.format.mime, extension: result.format.ext, ...metadata };
+}
+
+// Every foreground object: { objects: [{ name, bbox, ..., buffer }], ... }
+async function extract(input, options, { log = silentLogger, onStep = () => {} } = {}) {
+  const params = await parseOptions('extract', options);
+  const result = await processExtract(input, params, { pool: workerPool(), onStep, rejectWhenFull: false, log });
+  const { format } = result;
+  return {
+    originalSize: { width: result.width, height: result.height },
+    background: result.bgColor,
+    backgroundColors: result.bgColors.map(rgbToHex),
+    threshold: result.threshold,
+    sort: params.sort,
+    format: format.type,
+    mimeType: format.mime,
+    extension: format.ext,
+    objectCount: result.objects.length,
+    objects: result.objects.map(object => ({ ...object, file: `${object.name}.${format.ext}` }))
+  };
+}
+
+// The /analyze report (no image)
+async function analyze(input, options, { log = silentLogger, onStep = () => {} } = {}) {
+  const params = await parseOptions('analyze', options);
+  return processAnalyze(input, params, { pool: workerPool(), onStep, rejectWhenFull: false, log });
+}
+
+// Uniform border trim: { buffer, mimeType, extension, threshold, originalSize }
+async function trim(input, options, { log = silentLogger, onStep = () => {} } = {}) {
+  const params = await parseOptions('trim', options);
+  const { buffer, threshold, width, height } = await processTrim(input, params, { onStep, log });
+  return {
+    buffer,
+    format: params.format.type,
+    mimeType: params.format.mime,
+    extension: params.format.ext,
+    threshold,
+    originalSize: { width, height }
+  };
+}
+
+// Panels: { layout: { mode, rows, cols }, panels: [{ name, row, col, source, width, height, buffer }], ... }
+async function split(input, options, { log = silentLogger, onStep = () => {} } = {}) {
+  const params = await parseOptions('split', options);
+  const { width, height, panels, format, layout, trimThreshold } = await processSplit(input, params, { onStep, log });
+  return {
+    originalSize: { width, height },
+    layout: {
+      mode: layout.mode,
+      rows: panels.length ? Math.max(...panels.map(p => p.row)) + 1 : 0,
+      cols: panels.length ? Math.max(...panels.map(p => p.col)) + 1 : 0
+    },
+    trimThreshold,
+    format: format.type,
+    mimeType: format.mime,
+    extension: format.ext,
+    panelCount: panels.length,
+    panels
+  };
+}
+
+module.exports = {
+  crop,
+  extract,
+  analyze,
+  trim,
+  split,
+  validateOptions,
+  configure,
+  close,
+  ParamsError,
+  PipelineError
+};
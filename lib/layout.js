@@ -0,0 +1,131 @@
+// Panel layout detection for /split
+// auto: recursive XY-cut on background-colored gutters, found from row and
+// column projections of a foreground bitmap. Handles strips, stacks, grids
+// and uneven panel sizes. Cells reach to the middle of each gutter so
+// detectAndTrimPanel still sees background in its corners.
+
+const { detectBackgroundColor } = require('./pipeline');
+
+const MAX_GRID = 20;
+const MAX_CUT_DEPTH = 6;
+
+// layout=auto|halves|grid:RxC
+function parseLayout(value) {
+  const raw = String(value || 'auto').toLowerCase();
+  const grid = raw.match(/^grid:(\d+)x(\d+)$/);
+  if (grid) {
+    return {
+      mode: 'grid',
+      rows: Math.min(MAX_GRID, Math.max(1, parseInt(grid[1]))),
+      cols: Math.min(MAX_GRID, Math.max(1, parseInt(grid[2])))
+    };
+  }
+  return { mode: raw === 'halves' ? 'halves' : 'auto' };
+}
+
+// 1 = foreground (RGB distance to background above threshold)
+function foregroundBitmap(data, width, height, channels, threshold) {
+  const bg = detectBackgroundColor(data, width, height, channels);
+  const fg = new Uint8Array(width * height);
+  const limit = threshold * threshold;
+  for (let i = 0; i < width * height; i++) {
+    const idx = i * channels;
+    const dr = data[idx] - bg.r, dg = data[idx + 1] - bg.g, db = data[idx + 2] - bg.b;
+    if (dr * dr + dg * dg + db * db > limit) fg[i] = 1;
+  }
+  return { fg, bgColor: bg };
+}
+
+// Runs of non-empty lines along one axis of a region
+// Returns [{ start, end }] (inclusive), separated by gutters >= minGutter
+function contentRuns(fg, width, region, axis, minGutter) {
+  const length = axis === 'x' ? region.width : region.height;
+  const span = axis === 'x' ? region.height : region.width;
+  const noise = Math.max(1, Math.floor(span * 0.002));
+  const counts = new Uint32Array(length);
+
+  for (let y = region.top; y < region.top + region.height; y++) {
+    const rowStart = y * width;
+    for (let x = region.left; x < region.left + region.width; x++) {
+      if (fg[rowStart + x]) counts[axis === 'x' ? x - region.left : y - region.top]++;
+    }
+  }
+
+  const runs = [];
+  let runStart = -1, lastContent = -1;
+  for (let i = 0; i < length; i++) {
+    if (counts[i] <= noise) continue;
+    if (runStart === -1) runStart = i;
+    else if (i - lastContent - 1 >= minGutter) {
+      runs.push({ start: runStart, end: lastContent });
+      runStart = i;
+    }
+    lastContent = i;
+  }
+  if (runStart !== -1) runs.push({ start: runStart, end: lastContent });
+  return runs;
+}
+
+// Splits a region at the middle of each gutter between runs
+function cutRegion(region, runs, axis) {
+  const origin = axis === 'x' ? region.left : region.top;
+  const size = axis === 'x' ? region.width : region.height;
+  return runs.map((run, i) => {
+    const from = i === 0 ? 0 : Math.floor((runs[i - 1].end + run.start + 1) / 2);
+    const to = i === runs.length - 1 ? size : Math.floor((run.end + runs[i + 1].start + 1) / 2);
+    return axis === 'x'
+      ? { left: origin + from, top: region.top, width: to - from, height: region.height }
+      : { left: region.left, top: origin + from, width: region.width, height: to - from };
+  });
+}
+
+function xyCut(fg, width, region, minGutter, depth) {
+  if (depth >= MAX_CUT_DEPTH) return [region];
+  for (const axis of ['x', 'y']) {
+    const runs = contentRuns(fg, width, region, axis, minGutter);
+    if (runs.length > 1) {
+      return cutRegion(region, runs, axis).flatMap(cell => xyCut(fg, width, cell, minGutter, depth + 1));
+    }
+  }
+  return [region];
+}
+
+// Row/column indices in reading order: cells whose vertical centers fall
+// inside an existing row's span join that row, rows sort top to bottom
+function assignGrid(cells) {
+  const rows = [];
+  for (const cell of [...cells].sort((a, b) => a.top - b.top)) {
+    const center = cell.top + cell.height / 2;
+    const row = rows.find(r => center >= r.top && center < r.bottom);
+    if (row) row.cells.push(cell);
+    else rows.push({ top: cell.top, bottom: cell.top + cell.height, cells: [cell] });
+  }
+  return rows.flatMap((row, r) => row.cells
+    .sort((a, b) => a.left - b.left)
+    .map((cell, c) => ({ ...cell, row: r, col: c })));
+}
+
+// Returns [{ left, top, width, height }] panel rectangles for a raw image
+function detectPanels(data, width, height, channels, { threshold = 30, minGutter } = {}) {
+  const gutter = minGutter || Math.max(3, Math.round(Math.min(width, height) * 0.005));
+  const { fg } = foregroundBitmap(data, width, height, channels, threshold);
+  return xyCut(fg, width, { left: 0, top: 0, width, height }, gutter, 0);
+}
+
+function gridCells(width, height, rows, cols) {
+  const cells = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const left = Math.floor(c * width / cols), top = Math.floor(r * height / rows);
+      cells.push({
+        left,
+        top,
+        width: Math.floor((c + 1) * width / cols) - left,
+        height: Math.floor((r + 1) * height / rows) - top
+      });
+    }
+  }
+  return cells;
+}
+
+module.exports = { MAX_GRID, parseLayout, detectPanels, gridCells, assignGrid };
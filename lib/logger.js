@@ -0,0 +1,101 @@
+// Structured logging: one JSON object per line on stdout
+//   {"time":"...","level":"info","msg":"...","requestId":"...",...fields}
+// LOG_LEVEL (debug | info | warn | error, default info) drops quieter
+// events. File paths in messages, fields and errors are replaced with
+// "<path>" unless LOG_REDACT_PATHS=false.
+// child(fields) returns a logger that adds fields (requestId, jobId) to
+// every event. On a worker thread events are posted to the parent as
+// { type: 'log', entry } instead; the parent passes them to write() on the
+// logger of the request that owns the task, which adds its fields.
+
+const os = require('os');
+const path = require('path');
+const { isMainThread, parentPort } = require('worker_threads');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function parseLevel(value) {
+  const level = String(value || '').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Absolute paths under the app, temp or home directory or a usual system
+// root, and the relative upload/data folders the server writes to.
+// Routes (/crop/batch) and URLs (http://host/a/b) are left alone.
+const PATH_ROOTS = [...new Set([process.cwd(), path.dirname(__dirname), os.tmpdir(), os.homedir()])]
+  .filter(dir => dir && dir.length > 1)
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegExp);
+const PATH_END = `[^\\s'"\`,;()\\[\\]{}]*`;
+const PATH_PATTERN = new RegExp([
+  `(?<![\\w.:/-])(?:${PATH_ROOTS.join('|')})(?![\\w.-])${PATH_END}`,
+  `(?<![\\w.:/-])/(?:home|root|tmp|var|usr|opt|srv|mnt|etc|app|Users|private)/${PATH_END}`,
+  `(?<![\\w.:/-])(?:\\.{1,2}/)?(?:uploads|data)/${PATH_END}`
+].join('|'), 'g');
+
+function redactPaths(text) {
+  return text.replace(PATH_PATTERN, '<path>');
+}
+
+// Errors become plain objects; strings are redacted at any depth
+function serialize(value, redact, depth = 0) {
+  if (typeof value === 'string') return redact ? redactPaths(value) : value;
+  if (value instanceof Error) {
+    const error = { name: value.name, message: value.message };
+    if (value.code) error.code = value.code;
+    if (value.stack) error.stack = value.stack;
+    return serialize(error, redact, depth);
+  }
+  if (value === null || typeof value !== 'object' || depth > 8) return value;
+  if (Array.isArray(value)) return value.map(item => serialize(item, redact, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serialize(item, redact, depth + 1)]));
+}
+
+function defaultSink() {
+  if (!isMainThread && parentPort) return entry => parentPort.postMessage({ type: 'log', entry });
+  return entry => process.stdout.write(JSON.stringify(entry) + '\n');
+}
+
+class Logger {
+  constructor({ level = 'info', redact = true, fields = {}, sink = defaultSink() } = {}) {
+    this.level = parseLevel(level);
+    this.redact = redact;
+    this.fields = fields;
+    this.sink = sink;
+  }
+
+  child(fields) {
+    return new Logger({ level: this.level, redact: this.redact, fields: { ...this.fields, ...fields }, sink: this.sink });
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  error(msg, fields) { this.log('error', msg, fields); }
+
+  log(level, msg, fields = {}) {
+    if (!this.enabled(level)) return;
+    this.write({ time: new Date().toISOString(), level, msg, ...fields });
+  }
+
+  // entry: a complete event, e.g. one forwarded from a worker thread
+  write(entry) {
+    if (!this.enabled(entry.level)) return;
+    const { time, level, msg, ...fields } = entry;
+    this.sink(serialize({ time, level, msg, ...this.fields, ...fields }, this.redact));
+  }
+}
+
+// Process-wide logger configured from the environment
+const logger = new Logger({
+  level: process.env.LOG_LEVEL,
+  redact: process.env.LOG_REDACT_PATHS !== 'false'
+});
+
+module.exports = { Logger, LEVELS, logger, redactPaths };
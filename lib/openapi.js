@@ -0,0 +1,287 @@
+// OpenAPI 3 document for GET /openapi.json
+// Built from the field declarations in lib/params.js, so the published
+// types, ranges and defaults are the ones the server validates against.
+
+const { PIPELINE_STEPS } = require('./pipeline');
+const { OUTPUT_FORMATS } = require('./formats');
+const {
+  CROP_FIELDS,
+  EXTRACT_FIELDS,
+  TRIM_FIELDS,
+  SPLIT_FIELDS,
+  CALLBACK_FIELDS
+} = require('./params');
+
+const IMAGE_MIMES = [...new Set(Object.values(OUTPUT_FORMATS).map(f => f.mime))];
+
+function fieldSchema(spec) {
+  let schema;
+  switch (spec.type) {
+    case 'number':
+    case 'integer':
+      schema = { type: spec.type, minimum: spec.min, maximum: spec.max };
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'color':
+      schema = { type: 'string', pattern: '^#?[0-9a-fA-F]{6}$' };
+      break;
+    case 'enum':
+      schema = { type: 'string', enum: spec.values };
+      break;
+    case 'colorList':
+      schema = { type: 'string', pattern: '^#?[0-9a-fA-F]{6}(,#?[0-9a-fA-F]{6})*$', example: 'ffffff,f2f2f2' };
+      break;
+    case 'pointList':
+      schema = { type: 'string', pattern: '^\\d+,\\d+(;\\d+,\\d+)*$', example: '5,5;590,5' };
+      break;
+    case 'json':
+      schema = {
+        oneOf: [
+          { type: 'string', description: 'JSON text of the array' },
+          {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['step'],
+              properties: { step: { type: 'string', enum: Object.keys(PIPELINE_STEPS) }, params: { type: 'object' } }
+            }
+          }
+        ]
+      };
+      break;
+    default:
+      schema = { type: 'string' };
+      if (spec.pattern) schema.pattern = spec.pattern.source;
+  }
+  if (spec.keywords) schema = { oneOf: [schema, { type: 'string', enum: spec.keywords }] };
+  if (spec.default !== undefined) schema.default = spec.default;
+  if (spec.description) schema.description = spec.description;
+  return schema;
+}
+
+function fieldsSchema(fields) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([name, spec]) => [name, fieldSchema(spec)]))
+  };
+}
+
+// multipart with an `image` file; jsonInput adds an application/json body
+// taking imageBase64 or imageUrl instead
+function requestBody(fields, { jsonInput = false } = {}) {
+  const { type, properties } = fieldsSchema(fields);
+  const content = {
+    'multipart/form-data': {
+      schema: { type, required: ['image'], properties: { image: { type: 'string', format: 'binary' }, ...properties } }
+    }
+  };
+  if (jsonInput) {
+    content['application/json'] = {
+      schema: {
+        type,
+        properties: {
+          imageBase64: { type: 'string', description: 'Image bytes as base64 or a data: URL' },
+          imageUrl: { type: 'string', format: 'uri', description: 'Image to fetch (hosts allowed by IMAGE_URL_HOSTS)' },
+          ...properties
+        }
+      }
+    };
+  }
+  return { required: true, content };
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const jsonResponse = (description, schema = { type: 'object' }) => ({ description, content: { 'application/json': { schema } } });
+const imageResponse = description => ({
+  description,
+  content: Object.fromEntries(IMAGE_MIMES.map(mime => [mime, { schema: { type: 'string', format: 'binary' } }]))
+});
+
+// 401/403/429 only when the server runs with API_KEYS_FILE
+const AUTH_RESPONSES = {
+  401: jsonResponse('API key missing or unknown', ref('Error')),
+  403: jsonResponse('Daily megapixel quota used up; retry after Retry-After seconds', ref('Error')),
+  429: jsonResponse('Requests per minute or concurrent jobs over the key\'s limit; retry after Retry-After seconds', ref('Error'))
+};
+
+const ERROR_RESPONSES = {
+  400: jsonResponse('Invalid parameters (details lists every field error), preset or pipeline', ref('Error')),
+  ...AUTH_RESPONSES,
+  500: jsonResponse('Processing failed', ref('Error')),
+  503: jsonResponse('Worker queue full; retry after Retry-After seconds', ref('Error'))
+};
+
+function buildOpenApi({ version, serverUrl } = {}) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Yerlikaya Auto Crop API',
+      version,
+      description: 'Flood-fill background removal, auto crop, object extraction and panel splitting. ' +
+        'Form fields are strings on the wire; the types below are what they must parse as.'
+    },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    // {} = no key: authentication is optional server-side
+    security: [{ ApiKey: [] }, { Bearer: [] }, {}],
+    paths: {
+      '/crop': {
+        post: {
+          operationId: 'crop',
+          summary: 'Remove the background and crop to the subject',
+          requestBody: requestBody({ ...CROP_FIELDS, ...CALLBACK_FIELDS }, { jsonInput: true }),
+          responses: {
+            200: {
+              ...imageResponse('Cropped image (X-Crop-* headers carry the metadata)'),
+              content: {
+                ...imageResponse().content,
+                'application/json': { schema: { type: 'object', description: 'responseType=json: metadata + base64 image' } }
+              }
+            },
+            202: jsonResponse('callbackUrl given: queued as a job', ref('Job')),
+            ...ERROR_RESPONSES
+          }
+        }
+      },
+      '/extract': {
+        post: {
+          operationId: 'extract',
+          summary: 'Every foreground object as its own transparent image',
+          requestBody: requestBody(EXTRACT_FIELDS),
+          responses: {
+            200: {
+              description: 'ZIP of objects + manifest.json, or JSON with base64 images (output=json)',
+              content: {
+                'application/zip': { schema: { type: 'string', format: 'binary' } },
+                'application/json': { schema: { type: 'object' } }
+              }
+            },
+            ...ERROR_RESPONSES
+          }
+        }
+      },
+      '/analyze': {
+        post: {
+          operationId: 'analyze',
+          summary: 'Background, coverage, border contact, suggested threshold and confidence (no image)',
+          requestBody: requestBody(CROP_FIELDS),
+          responses: { 200: jsonResponse('Analysis report'), ...ERROR_RESPONSES }
+        }
+      },
+      '/trim': {
+        post: {
+          operationId: 'trim',
+          summary: 'Trim uniform borders',
+          requestBody: requestBody(TRIM_FIELDS, { jsonInput: true }),
+          responses: { 200: imageResponse('Trimmed image'), ...ERROR_RESPONSES }
+        }
+      },
+      '/split': {
+        post: {
+          operationId: 'split',
+          summary: 'Split into panels and trim each one',
+          requestBody: requestBody({ ...SPLIT_FIELDS, ...CALLBACK_FIELDS }, { jsonInput: true }),
+          responses: {
+            200: {
+              description: 'Panels as JSON, or the first panel as an image (output=first)',
+              content: { 'application/json': { schema: { type: 'object' } }, ...imageResponse().content }
+            },
+            202: jsonResponse('callbackUrl given: queued as a job', ref('Job')),
+            ...ERROR_RESPONSES
+          }
+        }
+      },
+      '/usage': {
+        get: {
+          operationId: 'usage',
+          summary: 'Limits and today\'s consumption of the calling API key',
+          responses: {
+            200: jsonResponse('Limits (null = unlimited), usage, remaining and quota reset time', ref('Usage')),
+            401: AUTH_RESPONSES[401],
+            404: jsonResponse('API keys are not enabled on this server', ref('Error'))
+          }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          operationId: 'openapi',
+          summary: 'This document',
+          security: [],
+          responses: { 200: jsonResponse('OpenAPI 3 document') }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        Bearer: { type: 'http', scheme: 'bearer' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: { type: 'string' },
+            details: {
+              oneOf: [
+                { type: 'string' },
+                {
+                  type: 'array',
+                  items: {
+                    oneOf: [
+                      { type: 'string' },
+                      { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } }
+                    ]
+                  }
+                }
+              ]
+            }
+          }
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            type: { type: 'string' },
+            status: { type: 'string', enum: ['queued', 'running', 'done', 'failed'] },
+            resultUrl: { type: 'string', nullable: true }
+          }
+        },
+        Usage: {
+          type: 'object',
+          properties: {
+            key: { type: 'string' },
+            limits: {
+              type: 'object',
+              properties: {
+                requestsPerMinute: { type: 'number', nullable: true },
+                concurrentJobs: { type: 'number', nullable: true },
+                megapixelsPerDay: { type: 'number', nullable: true }
+              }
+            },
+            usage: {
+              type: 'object',
+              properties: {
+                requestsLastMinute: { type: 'integer' },
+                concurrentJobs: { type: 'integer' },
+                megapixelsToday: { type: 'number' }
+              }
+            },
+            remaining: {
+              type: 'object',
+              properties: {
+                requestsThisMinute: { type: 'number', nullable: true },
+                megapixelsToday: { type: 'number', nullable: true }
+              }
+            },
+            day: { type: 'string', format: 'date' },
+            quotaResetsAt: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApi, fieldSchema };
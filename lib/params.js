@@ -0,0 +1,296 @@
+// Declared request fields for /crop, /extract, /analyze, /trim and /split
+// Every field has a type, its accepted range or values and a default.
+// validateParams() checks a request body against one field set and returns
+// the typed values (defaults filled in) or throws ParamsError listing every
+// bad field; the same declarations produce GET /openapi.json (lib/openapi.js).
+// Bodies hold form strings (multipart, or JSON after normalizeParams); an
+// empty string counts as "not sent". Fields that are not declared are ignored.
+//
+// Field spec:
+//   type     - number | integer | boolean | color | enum | string | colorList | pointList | json
+//   min/max  - range for number and integer
+//   values   - allowed values for enum (ignoreCase: compare lowercased)
+//   keywords - extra literal values (threshold=auto, canvasBackground=transparent)
+//   pattern  - RegExp for string, hint says what it accepts in errors
+//   default  - used when the field is absent (undefined = stays undefined)
+
+const { BG_MODELS, COLOR_METRICS, OUTPUT_MODES, MAX_BACKGROUND_COLORS } = require('./pipeline');
+const { OUTPUT_FORMATS, FORMAT_ALIASES } = require('./formats');
+const { CANVAS_ALIGNS, MAX_CANVAS_SIZE } = require('./canvas');
+const { MAX_GRID } = require('./layout');
+
+class ParamsError extends Error {
+  constructor(errors) {
+    super(`Invalid parameters: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    this.name = 'ParamsError';
+    this.errors = errors; // [{ field, message }]
+  }
+}
+
+const HEX_COLOR = /^#?[0-9a-f]{6}$/i;
+
+function hexToRgb(hex) {
+  const clean = hex.replace('#', '');
+  return {
+    r: parseInt(clean.slice(0, 2), 16),
+    g: parseInt(clean.slice(2, 4), 16),
+    b: parseInt(clean.slice(4, 6), 16)
+  };
+}
+
+function describeRange(spec) {
+  const kind = spec.type === 'integer' ? 'an integer' : 'a number';
+  const range = `${kind} between ${spec.min} and ${spec.max}`;
+  return spec.keywords ? `${range} or ${spec.keywords.map(k => `"${k}"`).join(', ')}` : range;
+}
+
+// Repeated form fields (bgColor=a&bgColor=b) and JSON arrays that
+// normalizeParams turned into text are both joined with sep
+function listValue(raw, sep) {
+  if (Array.isArray(raw)) return raw.join(sep);
+  if (typeof raw === 'string' && raw.trim().startsWith('[')) {
+    try {
+      const list = JSON.parse(raw);
+      if (Array.isArray(list)) return list.join(sep);
+    } catch (e) {
+      // not JSON, checked as plain text below
+    }
+  }
+  return String(raw);
+}
+
+// One field: { value } or { error }
+function parseField(spec, raw) {
+  if (spec.type === 'json') return { value: raw };
+  if (spec.type === 'colorList') {
+    const entries = listValue(raw, ',').split(',').map(v => v.trim()).filter(Boolean);
+    if (entries.length === 0 || !entries.every(v => HEX_COLOR.test(v))) {
+      return { error: 'must be comma-separated 6-digit hex colors' };
+    }
+    if (entries.length > MAX_BACKGROUND_COLORS) return { error: `takes at most ${MAX_BACKGROUND_COLORS} colors` };
+    return { value: entries };
+  }
+  if (spec.type === 'pointList') {
+    const entries = listValue(raw, ';').split(';').map(v => v.trim()).filter(Boolean);
+    if (entries.length === 0 || !entries.every(v => /^\d+,\d+$/.test(v))) {
+      return { error: 'must be x,y points separated by ";" (non-negative integers)' };
+    }
+    if (entries.length > MAX_BACKGROUND_COLORS) return { error: `takes at most ${MAX_BACKGROUND_COLORS} points` };
+    return { value: entries };
+  }
+
+  if (Array.isArray(raw)) return { error: 'must be sent once' };
+  const text = String(raw).trim();
+  if (spec.keywords && spec.keywords.includes(text)) return { value: text };
+
+  switch (spec.type) {
+    case 'number':
+    case 'integer': {
+      const num = Number(text);
+      if (!Number.isFinite(num) || (spec.type === 'integer' && !Number.isInteger(num)) || num < spec.min || num > spec.max) {
+        return { error: `must be ${describeRange(spec)}` };
+      }
+      return { value: num };
+    }
+    case 'boolean':
+      if (text === 'true' || text === '1') return { value: true };
+      if (text === 'false' || text === '0') return { value: false };
+      // erosion: older clients send the radius instead of true
+      if (spec.legacyInteger && /^\d+$/.test(text)) return { value: true };
+      return { error: 'must be true or false' };
+    case 'color':
+      if (!HEX_COLOR.test(text)) {
+        return { error: `must be a 6-digit hex color${spec.keywords ? ` or "${spec.keywords.join('", "')}"` : ''}` };
+      }
+      return { value: hexToRgb(text) };
+    case 'enum': {
+      const value = spec.ignoreCase ? text.toLowerCase() : text;
+      if (!spec.values.includes(value)) return { error: `must be one of ${spec.values.join(', ')}` };
+      return { value };
+    }
+    default:
+      if (spec.pattern && !spec.pattern.test(text)) return { error: `must be ${spec.hint || `like ${spec.pattern.source}`}` };
+      return { value: text };
+  }
+}
+
+// Typed values for every declared field; throws ParamsError
+function validateParams(fields, body = {}) {
+  const values = {};
+  const errors = [];
+  for (const [field, spec] of Object.entries(fields)) {
+    const raw = body[field];
+    if (raw === undefined || raw === null || raw === '') {
+      values[field] = spec.type === 'color' && HEX_COLOR.test(spec.default) ? hexToRgb(spec.default) : spec.default;
+      continue;
+    }
+    const parsed = parseField(spec, raw);
+    if (parsed.error) errors.push({ field, message: parsed.error });
+    else values[field] = parsed.value;
+  }
+  if (errors.length > 0) throw new ParamsError(errors);
+  return values;
+}
+
+// ============================================
+// FIELD SETS
+// ============================================
+
+const FORMAT_FIELDS = {
+  format: {
+    type: 'enum',
+    values: [...Object.keys(OUTPUT_FORMATS), ...Object.keys(FORMAT_ALIASES)],
+    ignoreCase: true,
+    default: 'png',
+    description: 'Output image format'
+  },
+  quality: { type: 'integer', min: 1, max: 100, description: 'webp, avif and jpeg quality (default per format)' },
+  effort: { type: 'integer', min: 0, max: 9, description: 'webp (0-6) and avif (0-9) encoder effort (default 4)' },
+  lossless: { type: 'boolean', default: false, description: 'Lossless webp / avif' },
+  matteColor: { type: 'color', default: 'ffffff', description: 'Background for formats without alpha (jpeg)' }
+};
+
+const CANVAS_FIELDS = {
+  canvasWidth: { type: 'integer', min: 1, max: MAX_CANVAS_SIZE, description: 'Fixed output canvas width (alone: square)' },
+  canvasHeight: { type: 'integer', min: 1, max: MAX_CANVAS_SIZE, description: 'Fixed output canvas height (alone: square)' },
+  canvasMargin: {
+    type: 'string',
+    pattern: /^\d+(\.\d+)?%?$/,
+    hint: 'pixels ("40") or a percentage ("8%")',
+    default: '0',
+    description: 'Margin inside the canvas: pixels ("40") or percent of each side ("8%")'
+  },
+  canvasAlign: {
+    type: 'enum',
+    values: [...CANVAS_ALIGNS, 'center-of-mass'],
+    default: 'center',
+    description: 'Subject placement on the canvas'
+  },
+  canvasBackground: {
+    type: 'color',
+    keywords: ['transparent'],
+    default: 'transparent',
+    description: 'Canvas fill color'
+  }
+};
+
+const TOGGLE = description => ({ type: 'boolean', default: false, description });
+
+const CROP_FIELDS = {
+  preset: { type: 'string', description: 'Stored preset to start from; fields sent with the request override it' },
+  threshold: {
+    type: 'number',
+    min: 0,
+    max: 442,
+    keywords: ['auto'],
+    default: 8,
+    description: 'Flood-fill tolerance: Delta E for the Lab metrics, RGB distance (max 441.7) for colorMetric=rgb; auto = from the distance histogram'
+  },
+  edgeThreshold: { type: 'number', min: 1, max: 50, default: 3, description: 'Transition zone width around the subject edge (rounded)' },
+  erosion: {
+    type: 'boolean',
+    default: true,
+    legacyInteger: true,
+    description: 'Alpha erosion; an integer (older clients send the radius here) counts as true, 0 as false'
+  },
+  erosionRadius: { type: 'integer', min: 0, max: 10, default: 1, description: 'Erosion radius in pixels' },
+  decontamination: TOGGLE('Color decontamination of edge pixels'),
+  matting: TOGGLE('Alpha matting'),
+  mattingRadius: { type: 'integer', min: 1, max: 5, default: 2, description: 'Matting radius' },
+  mattingStrength: { type: 'integer', min: 1, max: 100, default: 80, description: 'Matting strength (%)' },
+  spillRemoval: TOGGLE('Background color spill removal'),
+  spillColor: { type: 'color', default: 'ffffff', description: 'Spill color to remove' },
+  spillStrength: { type: 'integer', min: 1, max: 100, default: 80, description: 'Spill removal strength (%)' },
+  edgeRecolor: TOGGLE('Recolor edge pixels'),
+  edgeRecolorColor: { type: 'color', default: 'ffffff', description: 'Edge recolor color' },
+  edgeRecolorDepth: { type: 'integer', min: 1, max: 20, default: 3, description: 'Edge recolor depth in pixels' },
+  colorReplace: TOGGLE('Replace near-background colors inside the subject'),
+  colorReplaceTarget: { type: 'color', default: '000000', description: 'Replacement color' },
+  colorReplaceThreshold: { type: 'number', min: 1, max: 60, default: 20, description: 'Color replace distance' },
+  softening: TOGGLE('Alpha softening (Gaussian blur of alpha)'),
+  softenRadius: { type: 'integer', min: 0, max: 10, default: 2, description: 'Softening radius' },
+  feather: TOGGLE('Alpha feathering'),
+  featherRadius: { type: 'integer', min: 0, max: 20, default: 3, description: 'Feather radius' },
+  dilation: TOGGLE('Alpha dilation'),
+  dilationRadius: { type: 'integer', min: 0, max: 5, default: 1, description: 'Dilation radius' },
+  antiAlias: TOGGLE('Anti-aliasing of the alpha edge'),
+  antiAliasRadius: { type: 'number', min: 0.1, max: 3, default: 0.5, description: 'Anti-aliasing radius' },
+  minIslandSize: { type: 'integer', min: 0, max: 10000000, default: 100, description: 'Smallest interior background island removed (original pixels)' },
+  upscale: { type: 'integer', min: 1, max: 4, default: 1, description: 'Process at this multiple of the input size' },
+  bgColor: { type: 'colorList', description: `Explicit background colors, comma-separated hex (max ${MAX_BACKGROUND_COLORS})` },
+  bgPoint: { type: 'pointList', description: 'Sample the background at x,y;x,y (original pixels)' },
+  bgModel: { type: 'enum', values: BG_MODELS, default: 'flat', description: 'flat colors or a fitted gradient backdrop' },
+  colorMetric: { type: 'enum', values: Object.keys(COLOR_METRICS), default: 'cie76', description: 'Color distance used for the threshold' },
+  pipeline: { type: 'json', description: 'JSON array of { step, params } - post-processing order' },
+  output: { type: 'enum', values: OUTPUT_MODES, default: 'image', description: 'image or a diagnostic raster' },
+  responseType: { type: 'enum', values: ['binary', 'json'], default: 'binary', description: 'json = base64 image + crop metadata' },
+  ...FORMAT_FIELDS,
+  ...CANVAS_FIELDS
+};
+
+// /extract: the /crop fields, but output picks the response (zip | json)
+const EXTRACT_FIELDS = {
+  ...CROP_FIELDS,
+  output: { type: 'enum', values: ['zip', 'json'], default: 'zip', description: 'ZIP of objects + manifest, or JSON with base64 images' },
+  minArea: { type: 'integer', min: 1, max: 100000000, default: 500, description: 'Smallest object kept (original pixels)' },
+  sort: { type: 'enum', values: ['reading', 'size'], default: 'reading', description: 'Object order' }
+};
+delete EXTRACT_FIELDS.responseType;
+
+const TRIM_FIELDS = {
+  threshold: {
+    type: 'number',
+    min: 0,
+    max: 255,
+    keywords: ['auto'],
+    default: 10,
+    description: 'Largest channel difference from the top-left pixel still trimmed; auto = from the histogram'
+  },
+  ...FORMAT_FIELDS
+};
+
+const SPLIT_FIELDS = {
+  threshold: {
+    type: 'number',
+    min: 0,
+    max: 442,
+    keywords: ['auto'],
+    default: 30,
+    description: 'RGB distance from the background for gutters and panel trim; auto = from the histogram'
+  },
+  padding: { type: 'integer', min: 0, max: 1000, default: 10, description: 'Padding kept around each trimmed panel' },
+  skipEmpty: { type: 'boolean', default: true, description: 'Leave out empty panels' },
+  layout: {
+    type: 'string',
+    pattern: /^(auto|halves|grid:\d+x\d+)$/i,
+    hint: 'auto, halves or grid:RxC',
+    default: 'auto',
+    description: `auto (gutter detection), halves, or grid:RxC (R, C up to ${MAX_GRID})`
+  },
+  minGutter: { type: 'integer', min: 0, max: 10000, default: 0, description: 'Smallest gutter in pixels (0 = 0.5% of the shorter side)' },
+  output: { type: 'enum', values: ['json', 'first'], default: 'json', description: 'All panels as JSON, or the first panel as an image' },
+  ...FORMAT_FIELDS,
+  format: {
+    ...FORMAT_FIELDS.format,
+    values: [...FORMAT_FIELDS.format.values, 'json', 'first'],
+    description: 'Panel image format; json / first are the older spelling of output'
+  }
+};
+
+// Sent next to the fields of /crop and /split: answer 202, POST the result later
+const CALLBACK_FIELDS = {
+  callbackUrl: { type: 'string', pattern: /^https?:\/\//i, hint: 'an http(s) URL', description: 'Run as a job and POST the outcome here' },
+  callbackPayload: { type: 'enum', values: ['json', 'binary'], default: 'json', description: 'Callback body' }
+};
+
+module.exports = {
+  ParamsError,
+  validateParams,
+  FORMAT_FIELDS,
+  CANVAS_FIELDS,
+  CROP_FIELDS,
+  EXTRACT_FIELDS,
+  TRIM_FIELDS,
+  SPLIT_FIELDS,
+  CALLBACK_FIELDS
+};
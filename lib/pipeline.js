@@ -0,0 +1,1634 @@
+// Pixel pipeline for /crop
+// Pure functions over raw RGBA buffers, no Express or sharp here,
+// so the same code runs on the main thread and inside crop workers.
+
+const { autoThreshold } = require('./threshold');
+const { logger } = require('./logger');
+
+// ============================================
+// COLOR SCIENCE - CIE Lab
+// ============================================
+
+function srgbToLinear(c) {
+  c = c / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearRgbToXyz(r, g, b) {
+  return {
+    x: r * 0.4124564 + g * 0.3575761 + b * 0.1804375,
+    y: r * 0.2126729 + g * 0.7151522 + b * 0.0721750,
+    z: r * 0.0193339 + g * 0.1191920 + b * 0.9503041
+  };
+}
+
+function xyzToLab(x, y, z) {
+  const xn = 0.95047, yn = 1.00000, zn = 1.08883;
+  function f(t) {
+    return t > 0.008856 ? Math.cbrt(t) : (903.3 * t + 16) / 116;
+  }
+  const fx = f(x / xn), fy = f(y / yn), fz = f(z / zn);
+  return {
+    L: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  };
+}
+
+function rgbToLab(r, g, b) {
+  const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
+  const xyz = linearRgbToXyz(lr, lg, lb);
+  return xyzToLab(xyz.x, xyz.y, xyz.z);
+}
+
+// sRGB -> linear lookup table (constant, built once at load)
+const SRGB_TO_LINEAR = Float64Array.from({ length: 256 }, (_, i) => srgbToLinear(i));
+
+function labF(t) {
+  return t > 0.008856 ? Math.cbrt(t) : (903.3 * t + 16) / 116;
+}
+
+// labF sampled over [0, 1.01] (X/Xn, Y/Yn, Z/Zn never exceed 1.0001) and
+// linearly interpolated: L, a, b within 1e-4 of rgbToLab, and several
+// times faster than Math.cbrt per pixel
+const LAB_F_STEPS = 1 << 16;
+const LAB_F_SCALE = LAB_F_STEPS / 1.01;
+const LAB_F_TABLE = Float64Array.from({ length: LAB_F_STEPS + 2 }, (_, i) => labF(i / LAB_F_SCALE));
+
+function labFFast(t) {
+  const x = t * LAB_F_SCALE;
+  const i = x | 0;
+  return LAB_F_TABLE[i] + (LAB_F_TABLE[i + 1] - LAB_F_TABLE[i]) * (x - i);
+}
+
+// Whole image to Lab in one pass: Float32Array of L, a, b per pixel.
+// Same math as rgbToLab, with the sRGB linearisation from the table.
+function imageToLab(data, width, height, channels) {
+  const total = width * height;
+  const lab = new Float32Array(total * 3);
+  for (let i = 0; i < total; i++) {
+    const dataIdx = i * channels;
+    const lr = SRGB_TO_LINEAR[data[dataIdx]];
+    const lg = SRGB_TO_LINEAR[data[dataIdx + 1]];
+    const lb = SRGB_TO_LINEAR[data[dataIdx + 2]];
+    const fx = labFFast((lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047);
+    const fy = labFFast(lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750);
+    const fz = labFFast((lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883);
+    lab[i * 3] = 116 * fy - 16;
+    lab[i * 3 + 1] = 500 * (fx - fy);
+    lab[i * 3 + 2] = 200 * (fy - fz);
+  }
+  return lab;
+}
+
+// CIE76 Delta E
+function deltaE76(L1, a1, b1, L2, a2, b2) {
+  return Math.sqrt((L1 - L2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2);
+}
+
+const DEG = Math.PI / 180;
+
+// CIE94 (graphic arts weights); the second color is the reference, which
+// is how the pipeline calls it: (pixel, background)
+function deltaE94(L1, a1, b1, L2, a2, b2) {
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const dL = L1 - L2;
+  const dC = C1 - C2;
+  const dH2 = Math.max(0, (a1 - a2) ** 2 + (b1 - b2) ** 2 - dC * dC);
+  const SC = 1 + 0.045 * C2;
+  const SH = 1 + 0.015 * C2;
+  return Math.sqrt(dL * dL + (dC / SC) ** 2 + dH2 / (SH * SH));
+}
+
+// CIEDE2000 (Sharma, Wu & Dalal 2005), kL = kC = kH = 1
+function deltaE2000(L1, a1, b1, L2, a2, b2) {
+  const Cbar7 = ((Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2) ** 7;
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 25 ** 7)));
+  const a1p = a1 * (1 + G), a2p = a2 * (1 + G);
+  const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+  const h1p = C1p === 0 ? 0 : (Math.atan2(b1, a1p) / DEG + 360) % 360;
+  const h2p = C2p === 0 ? 0 : (Math.atan2(b2, a2p) / DEG + 360) % 360;
+  const chroma = C1p * C2p !== 0;
+  
+  let dhp = 0;
+  if (chroma) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * DEG / 2);
+  
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (chroma) {
+    if (Math.abs(h1p - h2p) > 180) hbarp += hbarp < 360 ? 360 : -360;
+    hbarp /= 2;
+  }
+  
+  const T = 1
+    - 0.17 * Math.cos((hbarp - 30) * DEG)
+    + 0.24 * Math.cos(2 * hbarp * DEG)
+    + 0.32 * Math.cos((3 * hbarp + 6) * DEG)
+    - 0.20 * Math.cos((4 * hbarp - 63) * DEG);
+  const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+  const Cbarp7 = Cbarp ** 7;
+  const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + 25 ** 7));
+  const SL = 1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2);
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  const RT = -Math.sin(2 * dTheta * DEG) * RC;
+  
+  return Math.sqrt(
+    (dLp / SL) ** 2 +
+    (dCp / SC) ** 2 +
+    (dHp / SH) ** 2 +
+    RT * (dCp / SC) * (dHp / SH)
+  );
+}
+
+// Plain sRGB Euclidean, the same distance /split's detectAndTrimPanel uses
+function rgbDistance(r1, g1, b1, r2, g2, b2) {
+  return Math.sqrt((r1 - r2) ** 2 + (g1 - g2) ** 2 + (b1 - b2) ** 2);
+}
+
+// colorMetric option. space says what the six arguments are (Lab or RGB);
+// memo = worth caching per pixel color when the background is flat.
+const COLOR_METRICS = {
+  cie76: { space: 'lab', distance: deltaE76 },
+  cie94: { space: 'lab', distance: deltaE94, memo: true },
+  ciede2000: { space: 'lab', distance: deltaE2000, memo: true },
+  rgb: { space: 'rgb', distance: rgbDistance }
+};
+
+// One RGB color as the [x, y, z] a metric of this space compares
+function colorInSpace(space, r, g, b) {
+  if (space === 'rgb') return [r, g, b];
+  const lab = rgbToLab(r, g, b);
+  return [lab.L, lab.a, lab.b];
+}
+
+// colorMetric distance between two RGB colors
+function metricDistance(colorMetric, c1, c2) {
+  const { space, distance } = COLOR_METRICS[colorMetric];
+  const [a0, a1, a2] = colorInSpace(space, c1.r, c1.g, c1.b);
+  const [b0, b1, b2] = colorInSpace(space, c2.r, c2.g, c2.b);
+  return distance(a0, a1, a2, b0, b1, b2);
+}
+
+// ============================================
+// BACKGROUND DETECTION
+// ============================================
+
+// Border samples ({ x, y, r, g, b }) roughly every 1% of the shorter side
+function sampleEdgePixels(data, width, height, channels) {
+  const samples = [];
+  const sampleStep = Math.max(1, Math.floor(Math.min(width, height) / 100));
+  const sample = (x, y) => ({ x, y, ...getPixelAt(data, x, y, width, channels) });
+  
+  for (let x = 0; x < width; x += sampleStep) {
+    samples.push(sample(x, 0));
+    samples.push(sample(x, height - 1));
+  }
+  for (let y = 0; y < height; y += sampleStep) {
+    samples.push(sample(0, y));
+    samples.push(sample(width - 1, y));
+  }
+  return samples;
+}
+
+function detectBackgroundColor(data, width, height, channels) {
+  const edgePixels = sampleEdgePixels(data, width, height, channels);
+  
+  // Cluster edge pixels - most common color
+  const colorMap = new Map();
+  for (const px of edgePixels) {
+    const qr = Math.round(px.r / 8) * 8;
+    const qg = Math.round(px.g / 8) * 8;
+    const qb = Math.round(px.b / 8) * 8;
+    const key = `${qr},${qg},${qb}`;
+    if (!colorMap.has(key)) colorMap.set(key, { r: 0, g: 0, b: 0, count: 0 });
+    const entry = colorMap.get(key);
+    entry.r += px.r; entry.g += px.g; entry.b += px.b; entry.count++;
+  }
+  
+  let maxCount = 0, bestCluster = null;
+  for (const entry of colorMap.values()) {
+    if (entry.count > maxCount) {
+      maxCount = entry.count;
+      bestCluster = entry;
+    }
+  }
+  
+  return {
+    r: Math.round(bestCluster.r / bestCluster.count),
+    g: Math.round(bestCluster.g / bestCluster.count),
+    b: Math.round(bestCluster.b / bestCluster.count)
+  };
+}
+
+function getPixelAt(data, x, y, width, channels) {
+  const idx = (y * width + x) * channels;
+  return { r: data[idx], g: data[idx + 1], b: data[idx + 2] };
+}
+
+// Explicit background: bgColor=ffffff,eeeeee and/or bgPoint=x,y;x,y
+// (points in original image pixels), as the lists validateParams returns
+// for them (lib/params.js: form fields, repeated fields and JSON arrays
+// alike). null when neither was given.
+const MAX_BACKGROUND_COLORS = 8;
+
+function parseBackgroundParams(bgColor = [], bgPoint = []) {
+  const colors = bgColor.map(hex => {
+    const clean = hex.replace('#', '');
+    return {
+      r: parseInt(clean.slice(0, 2), 16),
+      g: parseInt(clean.slice(2, 4), 16),
+      b: parseInt(clean.slice(4, 6), 16)
+    };
+  });
+  const points = bgPoint.map(point => {
+    const [x, y] = point.split(',').map(Number);
+    return { x, y };
+  });
+  
+  if (colors.length === 0 && points.length === 0) return null;
+  return {
+    colors: colors.slice(0, MAX_BACKGROUND_COLORS),
+    points: points.slice(0, MAX_BACKGROUND_COLORS - Math.min(colors.length, MAX_BACKGROUND_COLORS))
+  };
+}
+
+// Mean color of the 5x5 patch around (x, y), so JPEG noise at a
+// single sample pixel does not skew the background color
+function samplePatchColor(data, x, y, width, height, channels) {
+  let r = 0, g = 0, b = 0, count = 0;
+  for (let py = Math.max(0, y - 2); py <= Math.min(height - 1, y + 2); py++) {
+    for (let px = Math.max(0, x - 2); px <= Math.min(width - 1, x + 2); px++) {
+      const pixel = getPixelAt(data, px, py, width, channels);
+      r += pixel.r; g += pixel.g; b += pixel.b; count++;
+    }
+  }
+  return { r: Math.round(r / count), g: Math.round(g / count), b: Math.round(b / count) };
+}
+
+// Background colors for this image: explicit colors + sampled points,
+// or the dominant edge color when none were given.
+// scale maps bgPoint coordinates to the (upscaled) processing resolution.
+function resolveBackgroundColors(data, width, height, channels, background, scale = 1) {
+  if (!background) return [detectBackgroundColor(data, width, height, channels)];
+  
+  const colors = [...background.colors];
+  for (const point of background.points) {
+    const x = Math.min(width - 1, Math.round(point.x * scale));
+    const y = Math.min(height - 1, Math.round(point.y * scale));
+    colors.push(samplePatchColor(data, x, y, width, height, channels));
+  }
+  return colors;
+}
+
+// ============================================
+// BACKGROUND MODELS
+// ============================================
+// What flood fill and the edge steps compare pixels against:
+// flat     - one or more global colors (the nearest one counts)
+// gradient - a smooth per-pixel expected color fitted to the edge samples,
+//            for studio backdrops that fade top to bottom or vignette
+// colorAt(idx) is the expected background of pixel idx; distances to it
+// come from the BACKGROUND DISTANCE FIELD below.
+
+const BG_MODELS = ['flat', 'gradient'];
+
+function flatBackground(colors) {
+  const primary = colors[0];
+  return {
+    type: 'flat',
+    colors,
+    colorAt: () => primary
+  };
+}
+
+// Quadratic surface per RGB channel over u, v in [-1, 1]:
+// c = a0 + a1*u + a2*v + a3*u² + a4*u*v + a5*v²
+const GRADIENT_TERMS = 6;
+const GRADIENT_FIT_PASSES = 4;
+const GRADIENT_MIN_RESIDUAL = 6; // RGB distance always accepted as backdrop noise
+
+function gradientTerms(u, v) {
+  return [1, u, v, u * u, u * v, v * v];
+}
+
+// Gaussian elimination with partial pivoting; null when singular
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-9) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let row = col + 1; row < n; row++) {
+      const f = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) M[row][k] -= f * M[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+    x[row] = sum / M[row][row];
+  }
+  return x;
+}
+
+// Least-squares fit; returns [coeffsR, coeffsG, coeffsB] or null
+function fitQuadraticSurface(samples) {
+  const ata = Array.from({ length: GRADIENT_TERMS }, () => new Array(GRADIENT_TERMS).fill(0));
+  const atb = [0, 0, 0].map(() => new Array(GRADIENT_TERMS).fill(0));
+  for (const s of samples) {
+    const t = gradientTerms(s.u, s.v);
+    for (let i = 0; i < GRADIENT_TERMS; i++) {
+      for (let j = 0; j < GRADIENT_TERMS; j++) ata[i][j] += t[i] * t[j];
+      atb[0][i] += t[i] * s.r;
+      atb[1][i] += t[i] * s.g;
+      atb[2][i] += t[i] * s.b;
+    }
+  }
+  const coeffs = atb.map(rhs => solveLinearSystem(ata, rhs));
+  return coeffs.includes(null) ? null : coeffs;
+}
+
+function evalSurface(coeffs, u, v) {
+  const t = gradientTerms(u, v);
+  return coeffs.map(c => c.reduce((sum, a, i) => sum + a * t[i], 0));
+}
+
+// Fits the surface to the edge samples (+ optional bgPoint samples).
+// Samples far off the surface - typically a subject touching the border -
+// are dropped and the fit repeated. Falls back to flat when it cannot fit.
+function fitGradientBackground(data, width, height, channels, extraSamples = []) {
+  const toUV = (x, y) => ({
+    u: width > 1 ? (2 * x) / (width - 1) - 1 : 0,
+    v: height > 1 ? (2 * y) / (height - 1) - 1 : 0
+  });
+  let samples = [...sampleEdgePixels(data, width, height, channels), ...extraSamples]
+    .map(s => ({ ...s, ...toUV(s.x, s.y) }));
+  
+  let coeffs = null, rms = 0;
+  for (let pass = 0; pass < GRADIENT_FIT_PASSES; pass++) {
+    coeffs = fitQuadraticSurface(samples);
+    if (!coeffs) break;
+    const residuals = samples.map(s => {
+      const [r, g, b] = evalSurface(coeffs, s.u, s.v);
+      return Math.sqrt((s.r - r) ** 2 + (s.g - g) ** 2 + (s.b - b) ** 2);
+    });
+    rms = Math.sqrt(residuals.reduce((sum, d) => sum + d * d, 0) / residuals.length);
+    const median = [...residuals].sort((a, b) => a - b)[Math.floor(residuals.length / 2)];
+    const limit = Math.max(GRADIENT_MIN_RESIDUAL, median * 3);
+    const inliers = samples.filter((s, i) => residuals[i] <= limit);
+    if (inliers.length === samples.length || inliers.length < GRADIENT_TERMS * 4) break;
+    samples = inliers;
+  }
+  if (!coeffs) return flatBackground([detectBackgroundColor(data, width, height, channels)]);
+  
+  // Expected RGB for every pixel
+  const field = new Uint8Array(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const { u, v } = toUV(x, y);
+      const rgb = evalSurface(coeffs, u, v);
+      const fIdx = (y * width + x) * 3;
+      for (let c = 0; c < 3; c++) field[fIdx + c] = Math.min(255, Math.max(0, Math.round(rgb[c])));
+    }
+  }
+  
+  const colorAt = idx => ({ r: field[idx * 3], g: field[idx * 3 + 1], b: field[idx * 3 + 2] });
+  return {
+    type: 'gradient',
+    // Reported colors: the model at the four corners (TL, TR, BL, BR)
+    colors: [0, width - 1, (height - 1) * width, height * width - 1].map(colorAt),
+    colorAt,
+    field,
+    rms,
+    samples: samples.length
+  };
+}
+
+// Background model for this image from the bgModel / bgColor / bgPoint params.
+// gradient uses bgPoint samples as extra fit points; bgColor applies to flat only.
+function resolveBackground(data, width, height, channels, { background, bgModel = 'flat', upscaleFactor = 1 }) {
+  if (bgModel === 'gradient') {
+    const points = (background ? background.points : []).map(point => {
+      const x = Math.min(width - 1, Math.round(point.x * upscaleFactor));
+      const y = Math.min(height - 1, Math.round(point.y * upscaleFactor));
+      return { x, y, ...samplePatchColor(data, x, y, width, height, channels) };
+    });
+    return fitGradientBackground(data, width, height, channels, points);
+  }
+  return flatBackground(resolveBackgroundColors(data, width, height, channels, background, upscaleFactor));
+}
+
+// ============================================
+// BACKGROUND DISTANCE FIELD
+// ============================================
+// colorMetric distance from every pixel to its expected background,
+// computed once per image (Float32Array, one value per pixel).
+// Flood fill, islands, matting, spill removal and color replace read it
+// instead of converting and comparing colors per call, so there is no
+// cache or other state shared between images. Before a post-processing
+// step that reads it, pixels recolored by earlier steps are re-measured
+// (refreshDistanceField), so every step sees the current colors.
+
+// Entries of the per-image memo below; cleared when full, so a photo with
+// millions of distinct colors stays at a few MB per worker
+const DISTANCE_MEMO_MAX = 1 << 16;
+
+function backgroundDistanceField(data, width, height, channels, bg, colorMetric = 'cie76') {
+  const { space, distance, memo } = COLOR_METRICS[colorMetric];
+  const total = width * height;
+  const field = new Float32Array(total);
+  
+  // Pixel colors in the metric's space, with their stride
+  const pixels = space === 'lab' ? imageToLab(data, width, height, channels) : data;
+  const stride = space === 'lab' ? 3 : channels;
+  
+  if (bg.type === 'gradient') {
+    const ref = space === 'lab' ? imageToLab(bg.field, width, height, 3) : bg.field;
+    for (let i = 0; i < total; i++) {
+      const p = i * stride, q = i * 3;
+      field[i] = distance(pixels[p], pixels[p + 1], pixels[p + 2], ref[q], ref[q + 1], ref[q + 2]);
+    }
+    return field;
+  }
+  
+  // Flat: nearest of the background colors. The expensive metrics are
+  // memoised per 24-bit pixel color (this image only).
+  const refs = bg.colors.map(c => colorInSpace(space, c.r, c.g, c.b));
+  const seen = memo ? new Map() : null;
+  
+  for (let i = 0; i < total; i++) {
+    let key;
+    if (seen) {
+      const dataIdx = i * channels;
+      key = (data[dataIdx] << 16) | (data[dataIdx + 1] << 8) | data[dataIdx + 2];
+      const known = seen.get(key);
+      if (known !== undefined) {
+        field[i] = known;
+        continue;
+      }
+    }
+    const p = i * stride;
+    let min = Infinity;
+    for (const ref of refs) {
+      const dist = distance(pixels[p], pixels[p + 1], pixels[p + 2], ref[0], ref[1], ref[2]);
+      if (dist < min) min = dist;
+    }
+    field[i] = min;
+    if (seen) {
+      if (seen.size >= DISTANCE_MEMO_MAX) seen.clear();
+      seen.set(key, min);
+    }
+  }
+  
+  return field;
+}
+
+// Updates field (measured on `before`) for every pixel whose RGB differs
+// in `after`; the other values are still current
+function refreshDistanceField(field, before, after, width, height, channels, bg, colorMetric = 'cie76') {
+  if (before === after) return field;
+  const { space, distance } = COLOR_METRICS[colorMetric];
+  const toSpace = (r, g, b) => colorInSpace(space, r, g, b);
+  const flatRefs = bg.type === 'gradient' ? null : bg.colors.map(c => toSpace(c.r, c.g, c.b));
+  
+  for (let i = 0; i < width * height; i++) {
+    const dataIdx = i * channels;
+    if (before[dataIdx] === after[dataIdx] && before[dataIdx + 1] === after[dataIdx + 1] && before[dataIdx + 2] === after[dataIdx + 2]) continue;
+    const [p0, p1, p2] = toSpace(after[dataIdx], after[dataIdx + 1], after[dataIdx + 2]);
+    const refs = flatRefs || [toSpace(bg.field[i * 3], bg.field[i * 3 + 1], bg.field[i * 3 + 2])];
+    let min = Infinity;
+    for (const ref of refs) {
+      const dist = distance(p0, p1, p2, ref[0], ref[1], ref[2]);
+      if (dist < min) min = dist;
+    }
+    field[i] = min;
+  }
+  return field;
+}
+
+// threshold=auto over a distance field (see lib/threshold.js);
+// the histogram spans more units for rgb than for the Delta E metrics
+function suggestThreshold(bgDistance, colorMetric = 'cie76') {
+  return autoThreshold(bgDistance, { range: COLOR_METRICS[colorMetric].space === 'rgb' ? 160 : 64 });
+}
+
+// ============================================
+// FLOOD-FILL BACKGROUND REMOVAL
+// ============================================
+
+// A pixel is background when its distance to the expected background
+// (bgDistance, see BACKGROUND DISTANCE FIELD) is within threshold
+function floodFillBackground(bgDistance, width, height, threshold) {
+  const totalPixels = width * height;
+  const mask = new Uint8Array(totalPixels); // 0=unknown, 1=background, 2=foreground
+  
+  // BFS queue - start from all edge pixels
+  const queue = [];
+  
+  // Add edge pixels to queue
+  for (let x = 0; x < width; x++) {
+    queue.push(x); // top row
+    queue.push((height - 1) * width + x); // bottom row
+  }
+  for (let y = 1; y < height - 1; y++) {
+    queue.push(y * width); // left col
+    queue.push(y * width + width - 1); // right col
+  }
+  
+  // Mark edge pixels that match bg
+  // (every pixel is queued at most once, so a flat Int32Array is enough)
+  const bfsQueue = new Int32Array(totalPixels);
+  let tail = 0;
+  for (const pixelIdx of queue) {
+    if (mask[pixelIdx] === 0 && bgDistance[pixelIdx] <= threshold) {
+      mask[pixelIdx] = 1;
+      bfsQueue[tail++] = pixelIdx;
+    }
+  }
+  
+  // BFS flood fill (left, right, up, down neighbours)
+  let head = 0;
+  const visit = nIdx => {
+    if (mask[nIdx] === 0 && bgDistance[nIdx] <= threshold) {
+      mask[nIdx] = 1;
+      bfsQueue[tail++] = nIdx;
+    }
+  };
+  
+  while (head < tail) {
+    const idx = bfsQueue[head++];
+    const x = idx % width;
+    
+    if (x > 0) visit(idx - 1);
+    if (x < width - 1) visit(idx + 1);
+    if (idx >= width) visit(idx - width);
+    if (idx < totalPixels - width) visit(idx + width);
+  }
+  
+  return mask;
+}
+
+// Interior island detection
+// Returns { removed: pixels turned background, islands: regions removed }
+function removeInteriorIslands(bgDistance, mask, width, height, threshold, minIslandSize) {
+  const totalPixels = width * height;
+  const visited = new Uint8Array(totalPixels);
+  let removed = 0, islands = 0;
+  
+  for (let i = 0; i < totalPixels; i++) {
+    if (mask[i] !== 0 || visited[i]) continue;
+    
+    if (bgDistance[i] > threshold) {
+      visited[i] = 1;
+      continue;
+    }
+    
+    // BFS to find connected region of bg-colored unmasked pixels
+    const region = [i];
+    const regionQueue = [i];
+    visited[i] = 1;
+    let head = 0;
+    
+    while (head < regionQueue.length) {
+      const idx = regionQueue[head++];
+      const x = idx % width;
+      const y = Math.floor(idx / width);
+      
+      const neighbors = [
+        y > 0 ? idx - width : -1,
+        y < height - 1 ? idx + width : -1,
+        x > 0 ? idx - 1 : -1,
+        x < width - 1 ? idx + 1 : -1
+      ];
+      
+      for (const nIdx of neighbors) {
+        if (nIdx < 0 || visited[nIdx] || mask[nIdx] !== 0) continue;
+        
+        if (bgDistance[nIdx] <= threshold * 1.2) {
+          visited[nIdx] = 1;
+          region.push(nIdx);
+          regionQueue.push(nIdx);
+        } else {
+          visited[nIdx] = 1;
+        }
+      }
+    }
+    
+    if (region.length >= minIslandSize) {
+      for (const idx of region) {
+        mask[idx] = 1;
+        removed++;
+      }
+      islands++;
+    }
+  }
+  
+  return { removed, islands };
+}
+
+// ============================================
+// POST-PROCESSING
+// ============================================
+
+function findEdgePixels(mask, width, height) {
+  const edges = new Set();
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      if (mask[idx] !== 1) continue; // not bg
+      
+      const neighbors = [
+        y > 0 ? idx - width : -1,
+        y < height - 1 ? idx + width : -1,
+        x > 0 ? idx - 1 : -1,
+        x < width - 1 ? idx + 1 : -1
+      ];
+      
+      for (const nIdx of neighbors) {
+        if (nIdx >= 0 && mask[nIdx] === 0) {
+          edges.add(nIdx);
+        }
+      }
+    }
+  }
+  
+  return edges;
+}
+
+function applyTransitionZone(data, mask, width, height, channels, bgColor, edgeZoneRadius, edgePixels) {
+  const result = Buffer.from(data);
+  const hasAlpha = channels >= 4;
+  const totalPixels = width * height;
+
+  // Build distance-from-bg map via BFS (fg pixels only)
+  // edgeZoneRadius controls how many pixels deep the fade goes
+  const distMap = new Int16Array(totalPixels).fill(-1);
+
+  // Seed: direct edge pixels (fg pixels adjacent to bg) = distance 1
+  for (const idx of edgePixels) {
+    distMap[idx] = 1;
+  }
+
+  // BFS outward into fg for edgeZoneRadius layers
+  const queue = [...edgePixels];
+  let head = 0;
+  const dx = [-1, 1, 0, 0];
+  const dy = [0, 0, -1, 1];
+
+  while (head < queue.length) {
+    const idx = queue[head++];
+    const d = distMap[idx];
+    if (d >= edgeZoneRadius) continue;
+
+    const x = idx % width;
+    const y = Math.floor(idx / width);
+
+    for (let k = 0; k < 4; k++) {
+      const nx = x + dx[k], ny = y + dy[k];
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+      const nIdx = ny * width + nx;
+      if (mask[nIdx] === 1) continue; // skip bg
+      if (distMap[nIdx] !== -1) continue; // already visited
+      distMap[nIdx] = d + 1;
+      queue.push(nIdx);
+    }
+  }
+
+  // Apply transparency and fade
+  for (let i = 0; i < totalPixels; i++) {
+    const dataIdx = i * channels;
+
+    if (mask[i] === 1) {
+      // Background: fully transparent
+      if (hasAlpha) result[dataIdx + 3] = 0;
+      continue;
+    }
+
+    const d = distMap[i];
+    if (d === -1) continue; // deep fg, fully opaque — untouched
+
+    // d=1 (direct edge) → more transparent, d=edgeZoneRadius → nearly opaque
+    // Linear fade: alpha = (d / edgeZoneRadius) * 255
+    const alpha = Math.round((d / edgeZoneRadius) * 255);
+    if (hasAlpha) result[dataIdx + 3] = Math.min(result[dataIdx + 3], alpha);
+  }
+
+  return result;
+}
+
+function colorDecontaminate(data, mask, width, height, channels, bg, edgePixels) {
+  if (channels < 4) return data;
+  
+  const result = Buffer.from(data);
+  
+  for (const idx of edgePixels) {
+    const dataIdx = idx * channels;
+    const bgColor = bg.colorAt(idx);
+    const alpha = result[dataIdx + 3];
+    
+    if (alpha === 0 || alpha === 255) continue;
+    
+    const a = alpha / 255;
+    const r = result[dataIdx], g = result[dataIdx + 1], b = result[dataIdx + 2];
+    
+    // Un-premultiply background contamination
+    result[dataIdx]     = Math.min(255, Math.max(0, Math.round((r - bgColor.r * (1 - a)) / a)));
+    result[dataIdx + 1] = Math.min(255, Math.max(0, Math.round((g - bgColor.g * (1 - a)) / a)));
+    result[dataIdx + 2] = Math.min(255, Math.max(0, Math.round((b - bgColor.b * (1 - a)) / a)));
+  }
+  
+  return result;
+}
+
+// ============================================
+// ALPHA SOFTENING (Gaussian blur on alpha channel)
+// ============================================
+
+function alphaGaussianBlur(data, width, height, channels, radius) {
+  if (radius <= 0) return data;
+  const result = Buffer.from(data);
+  const sigma = radius / 2;
+  const size = radius * 2 + 1;
+  
+  // Build 1D Gaussian kernel
+  const kernel = [];
+  let kernelSum = 0;
+  for (let i = 0; i < size; i++) {
+    const x = i - radius;
+    const val = Math.exp(-(x * x) / (2 * sigma * sigma));
+    kernel.push(val);
+    kernelSum += val;
+  }
+  for (let i = 0; i < size; i++) kernel[i] /= kernelSum;
+  
+  // Horizontal pass on alpha
+  const temp = Buffer.from(data);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * channels;
+      if (data[idx + 3] === 255) continue; // skip fully opaque - perf
+      let sum = 0;
+      for (let k = 0; k < size; k++) {
+        const nx = Math.min(width - 1, Math.max(0, x + k - radius));
+        sum += data[(y * width + nx) * channels + 3] * kernel[k];
+      }
+      temp[idx + 3] = Math.round(sum);
+    }
+  }
+  
+  // Vertical pass on alpha
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * channels;
+      if (temp[idx + 3] === 255) continue;
+      let sum = 0;
+      for (let k = 0; k < size; k++) {
+        const ny = Math.min(height - 1, Math.max(0, y + k - radius));
+        sum += temp[(ny * width + x) * channels + 3] * kernel[k];
+      }
+      result[idx + 3] = Math.round(sum);
+    }
+  }
+  
+  return result;
+}
+
+// Alpha feather: gradually fade alpha near edges (distance-based)
+// Alpha dilation: expand alpha outward (opposite of erosion)
+// Recovers thin edges lost during processing
+function alphaDilation(data, width, height, channels, radius) {
+  if (radius <= 0) return data;
+  const result = Buffer.from(data);
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * channels;
+      if (result[idx + 3] === 255) continue; // already fully opaque
+      
+      let maxAlpha = data[idx + 3];
+      
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          if (dx * dx + dy * dy > radius * radius) continue; // circle
+          const nx = x + dx, ny = y + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+          const nAlpha = data[(ny * width + nx) * channels + 3];
+          if (nAlpha > maxAlpha) maxAlpha = nAlpha;
+        }
+      }
+      result[idx + 3] = maxAlpha;
+    }
+  }
+  return result;
+}
+
+function alphaFeather(data, mask, width, height, channels, featherRadius) {
+  if (featherRadius <= 0) return data;
+  const result = Buffer.from(data);
+  
+  // Build distance map from bg boundary for fg pixels
+  // Simple approach: for each fg pixel near edge, compute min distance to bg
+  const distMap = new Float32Array(width * height).fill(999);
+  
+  // Seed: bg pixels have distance 0
+  for (let i = 0; i < width * height; i++) {
+    if (mask[i] === 1) distMap[i] = 0;
+  }
+  
+  // BFS to compute distances
+  const queue = [];
+  for (let i = 0; i < width * height; i++) {
+    if (mask[i] === 1) queue.push(i);
+  }
+  
+  let head = 0;
+  const dx = [-1, 1, 0, 0];
+  const dy = [0, 0, -1, 1];
+  
+  while (head < queue.length) {
+    const idx = queue[head++];
+    const x = idx % width;
+    const y = Math.floor(idx / width);
+    const d = distMap[idx];
+    
+    if (d >= featherRadius) continue;
+    
+    for (let k = 0; k < 4; k++) {
+      const nx = x + dx[k], ny = y + dy[k];
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+      const nIdx = ny * width + nx;
+      if (distMap[nIdx] <= d + 1) continue;
+      distMap[nIdx] = d + 1;
+      queue.push(nIdx);
+    }
+  }
+  
+  // Apply feather: fg pixels within featherRadius get faded alpha
+  for (let i = 0; i < width * height; i++) {
+    if (mask[i] === 1) continue; // bg already transparent
+    const dist = distMap[i];
+    if (dist >= featherRadius) continue; // far from edge, fully opaque
+    const dataIdx = i * channels;
+    const currentAlpha = result[dataIdx + 3];
+    const featherAlpha = Math.round((dist / featherRadius) * 255);
+    result[dataIdx + 3] = Math.min(currentAlpha, featherAlpha);
+  }
+  
+  return result;
+}
+
+
+// Alpha erosion: shrink alpha at edge pixels by taking the 3x3 minimum
+// Each pass eats one more pixel layer of the halo
+function alphaErosion(data, width, height, channels, edgePixels, radius) {
+  let processedData = data;
+  for (let pass = 0; pass < radius; pass++) {
+    const eroded = Buffer.from(processedData);
+    for (const idx of edgePixels) {
+      const x = idx % width;
+      const y = Math.floor(idx / width);
+      const dataIdx = idx * channels;
+      
+      // Check 3x3 neighborhood
+      let minAlpha = 255;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx, ny = y + dy;
+          if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+            const nDataIdx = (ny * width + nx) * channels;
+            minAlpha = Math.min(minAlpha, processedData[nDataIdx + 3]);
+          }
+        }
+      }
+      eroded[dataIdx + 3] = minAlpha;
+    }
+    processedData = eroded;
+  }
+  return processedData;
+}
+
+// ============================================
+// ALPHA MATTING
+// ============================================
+// Removes bg color contamination from edge pixels
+// even when they are fully opaque (alpha=255)
+// Works by estimating how much bg color leaked into fg pixels
+// based on their color distance from bg vs fg, in the colorMetric the
+// mask was built with
+
+function alphaMatting(data, mask, width, height, channels, bg, bgDistance, edgePixels, mattingRadius, mattingStrength, colorMetric = 'cie76') {
+  if (channels < 4) return data;
+  const result = Buffer.from(data);
+
+  // For each edge pixel, sample nearby confirmed fg pixels to estimate true fg color
+  const dx = [-1,1,0,0,-2,2,0,0,-1,-1,1,1];
+  const dy = [0,0,-1,1,0,0,-2,2,-1,1,-1,1];
+
+  for (const idx of edgePixels) {
+    const x = idx % width;
+    const y = Math.floor(idx / width);
+    const dataIdx = idx * channels;
+
+    const r = data[dataIdx], g = data[dataIdx+1], b = data[dataIdx+2];
+    const bgColor = bg.colorAt(idx);
+
+    // Sample confirmed fg neighbors to get estimated true fg color
+    let fgR = 0, fgG = 0, fgB = 0, fgCount = 0;
+    for (let radius = 1; radius <= mattingRadius; radius++) {
+      for (let k = 0; k < dx.length; k++) {
+        const nx = x + dx[k] * radius;
+        const ny = y + dy[k] * radius;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        const nIdx = ny * width + nx;
+        if (mask[nIdx] === 1) continue; // skip bg
+        const nDataIdx = nIdx * channels;
+        const na = data[nDataIdx + 3];
+        if (na < 200) continue; // only use solidly opaque fg pixels
+        if (bgDistance[nIdx] < 5) continue; // skip pixels too similar to bg
+        const nr = data[nDataIdx], ng = data[nDataIdx+1], nb = data[nDataIdx+2];
+        fgR += nr; fgG += ng; fgB += nb; fgCount++;
+      }
+      if (fgCount >= 3) break;
+    }
+
+    if (fgCount === 0) continue; // can't estimate fg color
+
+    const estFgR = fgR / fgCount;
+    const estFgG = fgG / fgCount;
+    const estFgB = fgB / fgCount;
+
+    // Estimate alpha: how much of this pixel is fg vs bg?
+    const distToBgFull = metricDistance(colorMetric, { r, g, b }, bgColor);
+    const distFgToBg = metricDistance(colorMetric, { r: estFgR, g: estFgG, b: estFgB }, bgColor);
+
+    if (distFgToBg < 1) continue; // fg and bg too similar, skip
+
+    const estimatedAlpha = Math.min(1, distToBgFull / distFgToBg);
+
+    // Apply matting: blend toward estimated fg color, weighted by strength
+    const strength = mattingStrength / 100;
+    const currentAlpha = result[dataIdx + 3] / 255;
+    const newAlpha = Math.max(estimatedAlpha, currentAlpha * (1 - strength) + estimatedAlpha * strength);
+
+    result[dataIdx + 3] = Math.round(Math.min(255, newAlpha * 255));
+
+    // If alpha dropped significantly, also correct RGB toward true fg
+    if (newAlpha < 0.95) {
+      result[dataIdx]   = Math.min(255, Math.max(0, Math.round(estFgR)));
+      result[dataIdx+1] = Math.min(255, Math.max(0, Math.round(estFgG)));
+      result[dataIdx+2] = Math.min(255, Math.max(0, Math.round(estFgB)));
+    }
+  }
+
+  return result;
+}
+
+
+// ============================================
+// ANTI-ALIASING
+// ============================================
+// Applies supersampling-style smoothing to jagged edges
+// by blurring both alpha and RGB channels at edge pixels
+
+function applyAntiAliasing(data, mask, width, height, channels, radius) {
+  if (radius <= 0) return data;
+  const result = Buffer.from(data);
+  const sigma = radius;
+  const size = Math.ceil(radius * 3) * 2 + 1;
+  const half = Math.floor(size / 2);
+
+  // Gaussian kernel
+  const kernel = [];
+  let kernelSum = 0;
+  for (let i = 0; i < size; i++) {
+    const x = i - half;
+    const val = Math.exp(-(x * x) / (2 * sigma * sigma));
+    kernel.push(val);
+    kernelSum += val;
+  }
+  for (let i = 0; i < size; i++) kernel[i] /= kernelSum;
+
+  // Find edge pixels (fg pixels adjacent to bg or transparent)
+  const isEdge = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      if (mask[idx] === 1) continue; // bg
+      // Check if any neighbor is bg
+      let hasEdge = false;
+      for (let dy = -half; dy <= half; dy++) {
+        for (let dx = -half; dx <= half; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          const nx = x + dx, ny = y + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) { hasEdge = true; break; }
+          if (mask[ny * width + nx] === 1) { hasEdge = true; break; }
+        }
+        if (hasEdge) break;
+      }
+      if (hasEdge) isEdge[idx] = 1;
+    }
+  }
+
+  // Apply Gaussian blur to RGBA at edge pixels only
+  const temp = Buffer.from(data);
+
+  // Horizontal pass
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      if (!isEdge[idx]) continue;
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < size; k++) {
+        const nx = Math.min(width - 1, Math.max(0, x + k - half));
+        const nDataIdx = (y * width + nx) * channels;
+        const w = kernel[k];
+        r += data[nDataIdx]     * w;
+        g += data[nDataIdx + 1] * w;
+        b += data[nDataIdx + 2] * w;
+        a += data[nDataIdx + 3] * w;
+      }
+      const dataIdx = idx * channels;
+      temp[dataIdx]     = Math.round(r);
+      temp[dataIdx + 1] = Math.round(g);
+      temp[dataIdx + 2] = Math.round(b);
+      temp[dataIdx + 3] = Math.round(a);
+    }
+  }
+
+  // Vertical pass
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      if (!isEdge[idx]) continue;
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < size; k++) {
+        const ny = Math.min(height - 1, Math.max(0, y + k - half));
+        const nDataIdx = (ny * width + x) * channels;
+        const w = kernel[k];
+        r += temp[nDataIdx]     * w;
+        g += temp[nDataIdx + 1] * w;
+        b += temp[nDataIdx + 2] * w;
+        a += temp[nDataIdx + 3] * w;
+      }
+      const dataIdx = idx * channels;
+      result[dataIdx]     = Math.round(r);
+      result[dataIdx + 1] = Math.round(g);
+      result[dataIdx + 2] = Math.round(b);
+      result[dataIdx + 3] = Math.round(a);
+    }
+  }
+
+  return result;
+}
+
+
+// Spill removal: replace bg color contamination on edges with target color
+function spillRemoval(data, mask, width, height, channels, bgDistance, edgePixels, targetColor, strength) {
+  if (channels < 4) return data;
+  const result = Buffer.from(data);
+  const s = strength / 100;
+
+  for (const idx of edgePixels) {
+    const dataIdx = idx * channels;
+    const r = result[dataIdx], g = result[dataIdx+1], b = result[dataIdx+2];
+    const alpha = result[dataIdx+3];
+
+    if (alpha === 0) continue;
+
+    // How similar is this pixel to bg?
+    const distToBg = bgDistance[idx];
+    const maxDist = 50;
+    const bgInfluence = Math.max(0, 1 - distToBg / maxDist); // 1 = very similar to bg, 0 = not similar
+
+    if (bgInfluence < 0.05) continue; // not contaminated
+
+    // Blend toward target color based on bg influence and strength
+    const blend = bgInfluence * s;
+    result[dataIdx]     = Math.round(r * (1 - blend) + targetColor.r * blend);
+    result[dataIdx + 1] = Math.round(g * (1 - blend) + targetColor.g * blend);
+    result[dataIdx + 2] = Math.round(b * (1 - blend) + targetColor.b * blend);
+  }
+
+  return result;
+}
+
+
+// Edge recolor: paint all edge pixels to a target color (white or black)
+// Useful when edge halo color is wrong and needs to be replaced entirely
+// edgeDepth controls how many pixels deep from bg boundary to recolor
+function edgeRecolor(data, mask, width, height, channels, edgePixels, targetColor, edgeDepth) {
+  const result = Buffer.from(data);
+
+  // BFS to get all pixels within edgeDepth from bg
+  const visited = new Uint8Array(width * height);
+  const queue = [...edgePixels];
+  const depthMap = new Int16Array(width * height).fill(-1);
+  
+  for (const idx of edgePixels) {
+    depthMap[idx] = 1;
+    visited[idx] = 1;
+  }
+
+  let head = 0;
+  const dx = [-1, 1, 0, 0];
+  const dy = [0, 0, -1, 1];
+
+  while (head < queue.length) {
+    const idx = queue[head++];
+    const d = depthMap[idx];
+    if (d >= edgeDepth) continue;
+    const x = idx % width;
+    const y = Math.floor(idx / width);
+    for (let k = 0; k < 4; k++) {
+      const nx = x + dx[k], ny = y + dy[k];
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+      const nIdx = ny * width + nx;
+      if (visited[nIdx] || mask[nIdx] === 1) continue;
+      visited[nIdx] = 1;
+      depthMap[nIdx] = d + 1;
+      queue.push(nIdx);
+    }
+  }
+
+  // Paint all visited fg pixels to target color
+  for (let i = 0; i < width * height; i++) {
+    if (depthMap[i] < 1) continue;
+    const dataIdx = i * channels;
+    const alpha = result[dataIdx + 3];
+    if (alpha === 0) continue;
+    result[dataIdx]     = targetColor.r;
+    result[dataIdx + 1] = targetColor.g;
+    result[dataIdx + 2] = targetColor.b;
+  }
+
+  return result;
+}
+
+
+// Color replace: find fg pixels similar to bg color and recolor them
+// Unlike edgeRecolor, this works anywhere in the image, not just edges
+function colorReplace(data, mask, width, height, channels, bgDistance, targetColor, threshold) {
+  const result = Buffer.from(data);
+
+  for (let i = 0; i < width * height; i++) {
+    if (mask[i] === 1) continue; // skip bg (already transparent)
+    const dataIdx = i * channels;
+    const alpha = result[dataIdx + 3];
+    if (alpha === 0) continue;
+
+    if (bgDistance[i] <= threshold) {
+      result[dataIdx]     = targetColor.r;
+      result[dataIdx + 1] = targetColor.g;
+      result[dataIdx + 2] = targetColor.b;
+    }
+  }
+
+  return result;
+}
+
+// ============================================
+// PIPELINE STEP REGISTRY
+// ============================================
+// Post-processing steps (6-7e) that a /crop `pipeline` may name, in any
+// order and any number of times. Each param spec says where its default
+// comes from in the parsed /crop params (`from`) and what values it takes.
+// ctx = { mask, width, height, channels, bg, bgColor, bgDistance, edgePixels, colorMetric }
+// (bg = background model, bgDistance = per-pixel distance field, current
+// for the step's input when the step says readsDistance)
+
+const PIPELINE_STEPS = {
+  colorDecontaminate: {
+    label: 'decontamination',
+    params: {},
+    run: (data, ctx) => colorDecontaminate(data, ctx.mask, ctx.width, ctx.height, ctx.channels, ctx.bg, ctx.edgePixels)
+  },
+  alphaMatting: {
+    label: 'matting',
+    readsDistance: true,
+    params: {
+      radius: { min: 1, max: 5, integer: true, from: 'mattingRadius' },
+      strength: { min: 1, max: 100, integer: true, from: 'mattingStrength' }
+    },
+    run: (data, ctx, p) => alphaMatting(data, ctx.mask, ctx.width, ctx.height, ctx.channels, ctx.bg, ctx.bgDistance, ctx.edgePixels, p.radius, p.strength, ctx.colorMetric),
+    describe: p => `🧵 Alpha matting applied (r:${p.radius}, strength:${p.strength}%)`
+  },
+  spillRemoval: {
+    label: 'spill-removal',
+    readsDistance: true,
+    params: {
+      color: { type: 'color', from: 'spillColor' },
+      strength: { min: 1, max: 100, integer: true, from: 'spillStrength' }
+    },
+    run: (data, ctx, p) => spillRemoval(data, ctx.mask, ctx.width, ctx.height, ctx.channels, ctx.bgDistance, ctx.edgePixels, p.color, p.strength),
+    describe: p => `🎨 Spill removal applied (#${rgbToHex(p.color)}, strength:${p.strength}%)`
+  },
+  edgeRecolor: {
+    label: 'edge-recolor',
+    params: {
+      color: { type: 'color', from: 'edgeRecolorColor' },
+      depth: { min: 1, max: 20, integer: true, from: 'edgeRecolorDepth' }
+    },
+    run: (data, ctx, p) => edgeRecolor(data, ctx.mask, ctx.width, ctx.height, ctx.channels, ctx.edgePixels, p.color, p.depth),
+    describe: p => `🖌️ Edge recolor applied (#${rgbToHex(p.color)}, depth:${p.depth}px)`
+  },
+  colorReplace: {
+    label: 'color-replace',
+    readsDistance: true,
+    params: {
+      color: { type: 'color', from: 'colorReplaceTarget' },
+      threshold: { min: 1, max: 60, from: 'colorReplaceThreshold' }
+    },
+    run: (data, ctx, p) => colorReplace(data, ctx.mask, ctx.width, ctx.height, ctx.channels, ctx.bgDistance, p.color, p.threshold),
+    describe: p => `🖍️ Color replace applied (#${rgbToHex(p.color)}, threshold:${p.threshold})`
+  },
+  alphaErosion: {
+    label: 'erosion',
+    params: {
+      radius: { min: 0, max: 10, integer: true, from: 'erosionRadius' }
+    },
+    run: (data, ctx, p) => alphaErosion(data, ctx.width, ctx.height, ctx.channels, ctx.edgePixels, p.radius)
+  },
+  alphaGaussianBlur: {
+    label: 'softening',
+    params: {
+      radius: { min: 0, max: 10, integer: true, from: 'softenRadius' }
+    },
+    run: (data, ctx, p) => alphaGaussianBlur(data, ctx.width, ctx.height, ctx.channels, p.radius),
+    describe: p => `💫 Alpha softening applied (r:${p.radius})`
+  },
+  alphaFeather: {
+    label: 'feather',
+    params: {
+      radius: { min: 0, max: 20, integer: true, from: 'featherRadius' }
+    },
+    run: (data, ctx, p) => alphaFeather(data, ctx.mask, ctx.width, ctx.height, ctx.channels, p.radius),
+    describe: p => `🪶 Alpha feathering applied (r:${p.radius})`
+  },
+  alphaDilation: {
+    label: 'dilation',
+    params: {
+      radius: { min: 0, max: 5, integer: true, from: 'dilationRadius' }
+    },
+    run: (data, ctx, p) => alphaDilation(data, ctx.width, ctx.height, ctx.channels, p.radius),
+    describe: p => `💡 Alpha dilation applied (r:${p.radius})`
+  },
+  applyAntiAliasing: {
+    label: 'anti-alias',
+    params: {
+      radius: { min: 0.1, max: 3, from: 'antiAliasRadius' }
+    },
+    run: (data, ctx, p) => applyAntiAliasing(data, ctx.mask, ctx.width, ctx.height, ctx.channels, p.radius),
+    describe: p => `🔲 Anti-aliasing applied (r:${p.radius})`
+  }
+};
+
+// Order used when /crop gets no `pipeline`, each step gated by its toggle
+const DEFAULT_PIPELINE = [
+  { step: 'colorDecontaminate', enabled: p => p.enableDecontamination },
+  { step: 'alphaMatting', enabled: p => p.enableMatting },
+  { step: 'spillRemoval', enabled: p => p.enableSpillRemoval },
+  { step: 'edgeRecolor', enabled: p => p.enableEdgeRecolor },
+  { step: 'colorReplace', enabled: p => p.enableColorReplace },
+  { step: 'alphaErosion', enabled: p => p.enableErosion },
+  { step: 'alphaGaussianBlur', enabled: p => p.enableSoftening && p.softenRadius > 0 },
+  { step: 'alphaFeather', enabled: p => p.enableFeather && p.featherRadius > 0 },
+  { step: 'alphaDilation', enabled: p => p.enableDilation && p.dilationRadius > 0 },
+  { step: 'applyAntiAliasing', enabled: p => p.enableAntiAlias }
+];
+
+const MAX_PIPELINE_STEPS = 32;
+
+class PipelineError extends Error {
+  constructor(errors) {
+    super(`Invalid pipeline: ${errors.join('; ')}`);
+    this.name = 'PipelineError';
+    this.errors = errors;
+  }
+}
+
+function rgbToHex({ r, g, b }) {
+  return [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+function parseStepParam(spec, value) {
+  if (spec.type === 'color') {
+    const hex = typeof value === 'string' ? value.replace('#', '') : '';
+    if (!/^[0-9a-f]{6}$/i.test(hex)) return { error: 'must be a 6-digit hex color' };
+    return {
+      value: {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16)
+      }
+    };
+  }
+  const num = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+  if (!Number.isFinite(num)) return { error: 'must be a number' };
+  if (spec.integer && !Number.isInteger(num)) return { error: 'must be an integer' };
+  if (num < spec.min || num > spec.max) return { error: `must be between ${spec.min} and ${spec.max}` };
+  return { value: num };
+}
+
+// Turns the `pipeline` field (JSON string or array of { step, params })
+// into a validated list of { step, params }. Params left out fall back to
+// the matching top-level /crop field. Without a pipeline field the
+// DEFAULT_PIPELINE order is used. Throws PipelineError listing every problem.
+function resolvePipeline(raw, cropParams) {
+  const defaultsFor = step => {
+    const params = {};
+    for (const [name, spec] of Object.entries(PIPELINE_STEPS[step].params)) params[name] = cropParams[spec.from];
+    return params;
+  };
+
+  if (raw === undefined || raw === null || raw === '') {
+    return DEFAULT_PIPELINE
+      .filter(entry => entry.enabled(cropParams))
+      .map(entry => ({ step: entry.step, params: defaultsFor(entry.step) }));
+  }
+
+  let list = raw;
+  if (typeof raw === 'string') {
+    try {
+      list = JSON.parse(raw);
+    } catch (e) {
+      throw new PipelineError(['pipeline must be valid JSON']);
+    }
+  }
+  if (!Array.isArray(list)) throw new PipelineError(['pipeline must be an array of { step, params }']);
+  if (list.length > MAX_PIPELINE_STEPS) throw new PipelineError([`pipeline has more than ${MAX_PIPELINE_STEPS} steps`]);
+
+  const errors = [];
+  const pipeline = list.map((entry, i) => {
+    const name = entry && entry.step;
+    const def = Object.prototype.hasOwnProperty.call(PIPELINE_STEPS, name) ? PIPELINE_STEPS[name] : null;
+    if (!def) {
+      errors.push(`pipeline[${i}].step "${name}" is not one of ${Object.keys(PIPELINE_STEPS).join(', ')}`);
+      return null;
+    }
+    const given = entry.params === undefined ? {} : entry.params;
+    if (!given || typeof given !== 'object' || Array.isArray(given)) {
+      errors.push(`pipeline[${i}].params must be an object`);
+      return null;
+    }
+    const params = defaultsFor(name);
+    for (const [key, value] of Object.entries(given)) {
+      const spec = def.params[key];
+      if (!spec) {
+        errors.push(`pipeline[${i}].params.${key} is not a parameter of ${name}`);
+        continue;
+      }
+      const parsed = parseStepParam(spec, value);
+      if (parsed.error) errors.push(`pipeline[${i}].params.${key} ${parsed.error}`);
+      else params[key] = parsed.value;
+    }
+    return { step: name, params };
+  });
+
+  if (errors.length > 0) throw new PipelineError(errors);
+  return pipeline;
+}
+
+// ============================================
+// DIAGNOSTIC OUTPUTS
+// ============================================
+// Rasters for /crop output=mask|alpha|edges|debug, at processing
+// resolution and untrimmed so they line up with the (upscaled) input.
+//   mask  - 1 channel: background 0, interior island 128, foreground 255
+//   alpha - 1 channel: final alpha after post-processing
+//   edges - 3 channel: findEdgePixels set in magenta over the dimmed original
+//   debug - 3 channel: background red, islands blue, edge band yellow over the original
+
+const OUTPUT_MODES = ['image', 'mask', 'alpha', 'edges', 'debug'];
+
+const MASK_LEVELS = { background: 0, island: 128, foreground: 255 };
+
+function renderDiagnostic(output, { data, processedData, floodMask, mask, edgePixels, width, height, channels }) {
+  const totalPixels = width * height;
+
+  if (output === 'mask') {
+    const out = new Uint8Array(totalPixels);
+    for (let i = 0; i < totalPixels; i++) {
+      if (mask[i] !== 1) out[i] = MASK_LEVELS.foreground;
+      else if (floodMask[i] !== 1) out[i] = MASK_LEVELS.island;
+      else out[i] = MASK_LEVELS.background;
+    }
+    return { data: out, channels: 1 };
+  }
+
+  if (output === 'alpha') {
+    const out = new Uint8Array(totalPixels);
+    for (let i = 0; i < totalPixels; i++) out[i] = processedData[i * channels + 3];
+    return { data: out, channels: 1 };
+  }
+
+  const out = new Uint8Array(totalPixels * 3);
+
+  if (output === 'edges') {
+    for (let i = 0; i < totalPixels; i++) {
+      const dataIdx = i * channels;
+      out[i * 3]     = Math.round(data[dataIdx] * 0.35);
+      out[i * 3 + 1] = Math.round(data[dataIdx + 1] * 0.35);
+      out[i * 3 + 2] = Math.round(data[dataIdx + 2] * 0.35);
+    }
+    for (const idx of edgePixels) {
+      out[idx * 3] = 255; out[idx * 3 + 1] = 0; out[idx * 3 + 2] = 255;
+    }
+    return { data: out, channels: 3 };
+  }
+
+  // debug: 60% tint over the original
+  const tint = (i, r, g, b) => {
+    const dataIdx = i * channels;
+    out[i * 3]     = Math.round(data[dataIdx] * 0.4 + r * 0.6);
+    out[i * 3 + 1] = Math.round(data[dataIdx + 1] * 0.4 + g * 0.6);
+    out[i * 3 + 2] = Math.round(data[dataIdx + 2] * 0.4 + b * 0.6);
+  };
+  for (let i = 0; i < totalPixels; i++) {
+    if (mask[i] !== 1) {
+      const dataIdx = i * channels;
+      out[i * 3] = data[dataIdx]; out[i * 3 + 1] = data[dataIdx + 1]; out[i * 3 + 2] = data[dataIdx + 2];
+    } else if (floodMask[i] !== 1) {
+      tint(i, 0, 0, 255);
+    } else {
+      tint(i, 255, 0, 0);
+    }
+  }
+  for (const idx of edgePixels) tint(idx, 255, 255, 0);
+  return { data: out, channels: 3 };
+}
+
+// ============================================
+// CROP PIPELINE (Steps 1-7e)
+// ============================================
+// Runs background detection, flood fill and post-processing on a raw
+// RGBA buffer. Decoding and encoding (sharp) stay with the caller.
+// onStep(name) is called as each pipeline step starts
+// For params.output other than 'image' the result is a diagnostic raster
+// ({ data, channels, diagnostic: true }) instead of the processed RGBA
+
+function runCropPipeline(data, width, height, channels, params, onStep = () => {}) {
+  const { edgeThreshold, minIslandSize, upscaleFactor, pipeline, output = 'image', colorMetric = 'cie76' } = params;
+
+  // Step 1: Detect background (or use the explicit bgColor/bgPoint list,
+  // or fit a gradient model); bgColor = expected color at the image center
+  onStep('detect-background');
+  const bg = resolveBackground(data, width, height, channels, params);
+  const bgColors = bg.colors;
+  const bgColor = bg.colorAt(Math.floor(height / 2) * width + Math.floor(width / 2));
+  logger.info('🎨 Background detected', {
+    step: 'detect-background',
+    model: bg.type,
+    explicit: Boolean(params.background),
+    colors: bgColors.map(rgbToHex),
+    ...(bg.type === 'gradient' && { rms: Math.round(bg.rms * 10) / 10, samples: bg.samples })
+  });
+  
+  // Step 1b: Distance of every pixel to its expected background
+  onStep('distance-field');
+  const bgDistance = backgroundDistanceField(data, width, height, channels, bg, colorMetric);
+  
+  // threshold=auto: cut from the distance histogram (reported back as threshold)
+  let threshold = params.threshold;
+  if (threshold === 'auto') {
+    const auto = suggestThreshold(bgDistance, colorMetric);
+    threshold = auto.threshold;
+    logger.info('🎚️ Auto threshold', { step: 'distance-field', colorMetric, threshold, method: auto.method });
+  }
+  
+  // Step 2: Flood-fill from edges
+  onStep('flood-fill');
+  const mask = floodFillBackground(bgDistance, width, height, threshold);
+  
+  let bgCount = 0;
+  for (let i = 0; i < mask.length; i++) if (mask[i] === 1) bgCount++;
+  logger.info('🌊 Flood-fill', {
+    step: 'flood-fill',
+    threshold,
+    backgroundPixels: bgCount,
+    backgroundPercent: Math.round(bgCount / mask.length * 1000) / 10
+  });
+  
+  // Keep the flood-fill-only mask so diagnostics can tell islands apart
+  const floodMask = output === 'mask' || output === 'debug' ? mask.slice() : null;
+  
+  // Step 3: Interior islands (scale minIslandSize by upscale factor)
+  onStep('islands');
+  const effectiveMinIslandSize = minIslandSize * (upscaleFactor * upscaleFactor);
+  const { removed, islands } = removeInteriorIslands(bgDistance, mask, width, height, threshold * 1.2, effectiveMinIslandSize);
+  logger.info('🏝️ Interior islands', { step: 'islands', minSize: effectiveMinIslandSize, islandsRemoved: islands, islandPixels: removed });
+  
+  // Step 4: Find edge pixels
+  onStep('edges');
+  const edgePixels = findEdgePixels(mask, width, height);
+  logger.info('🔲 Edge pixels', { step: 'edges', edgeThreshold, edgePixels: edgePixels.size });
+  
+  // Reported with every result (responseType=json, X-Crop-* headers)
+  const summary = {
+    bgColor,
+    bgColors,
+    bgModel: bg.type,
+    threshold,
+    stats: {
+      backgroundPixels: bgCount + removed,
+      edgePixels: edgePixels.size,
+      islandsRemoved: islands,
+      islandPixels: removed
+    }
+  };
+  
+  if (output === 'mask' || output === 'edges' || output === 'debug') {
+    onStep('render-diagnostic');
+    const raster = renderDiagnostic(output, { data, floodMask, mask, edgePixels, width, height, channels });
+    return { ...raster, ...summary, diagnostic: true };
+  }
+  
+  // Step 5: Apply transition zone + transparency
+  onStep('transition-zone');
+  let processedData = applyTransitionZone(data, mask, width, height, channels, bgColor, edgeThreshold, edgePixels);
+  
+  // Steps 6-7e: post-processing in the order params.pipeline gives
+  const ctx = { mask, width, height, channels, bg, bgColor, bgDistance, edgePixels, colorMetric };
+  let measured = data; // the pixels bgDistance was measured on
+  for (const { step, params: stepParams } of pipeline) {
+    const def = PIPELINE_STEPS[step];
+    onStep(def.label);
+    if (def.readsDistance && measured !== processedData) {
+      refreshDistanceField(bgDistance, measured, processedData, width, height, channels, bg, colorMetric);
+      measured = processedData;
+    }
+    processedData = def.run(processedData, ctx, stepParams);
+    logger.info(def.describe ? def.describe(stepParams) : `⚙️ ${def.label} applied`, {
+      step: def.label,
+      params: Object.fromEntries(Object.entries(stepParams).map(([name, value]) => [name, typeof value === 'object' ? rgbToHex(value) : value]))
+    });
+  }
+
+  if (output === 'alpha') {
+    onStep('render-diagnostic');
+    const raster = renderDiagnostic(output, { processedData, width, height, channels });
+    return { ...raster, ...summary, diagnostic: true };
+  }
+
+  // keepMask: /extract labels objects on the final mask
+  return params.keepMask
+    ? { data: processedData, ...summary, mask }
+    : { data: processedData, ...summary };
+}
+
+module.exports = {
+  rgbToLab,
+  imageToLab,
+  deltaE76,
+  deltaE94,
+  deltaE2000,
+  COLOR_METRICS,
+  sampleEdgePixels,
+  detectBackgroundColor,
+  parseBackgroundParams,
+  MAX_BACKGROUND_COLORS,
+  resolveBackgroundColors,
+  BG_MODELS,
+  fitGradientBackground,
+  resolveBackground,
+  backgroundDistanceField,
+  refreshDistanceField,
+  suggestThreshold,
+  floodFillBackground,
+  removeInteriorIslands,
+  findEdgePixels,
+  applyTransitionZone,
+  colorDecontaminate,
+  alphaGaussianBlur,
+  alphaDilation,
+  alphaFeather,
+  alphaErosion,
+  alphaMatting,
+  applyAntiAliasing,
+  spillRemoval,
+  edgeRecolor,
+  colorReplace,
+  PIPELINE_STEPS,
+  PipelineError,
+  rgbToHex,
+  OUTPUT_MODES,
+  MASK_LEVELS,
+  renderDiagnostic,
+  resolvePipeline,
+  runCropPipeline
+};
@@ -0,0 +1,115 @@
+// Named /crop parameter presets, persisted to a JSON file
+// The file holds { "<name>": { params: {...}, updatedAt } }. Values are
+// stored the way the form sends them (strings), so a preset can be merged
+// straight into req.body before parseCropParams.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const NAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+class PresetStore {
+  constructor(file) {
+    this.file = file;
+    this.presets = null;
+    this.writing = Promise.resolve();
+  }
+
+  // No prototype: names like __proto__ or constructor are plain keys
+  async load() {
+    if (this.presets) return this.presets;
+    let stored = {};
+    try {
+      stored = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    this.presets = Object.assign(Object.create(null), stored);
+    return this.presets;
+  }
+
+  // Writes are chained so concurrent edits never interleave; each one saves
+  // the store as it is when its turn comes, temp file + rename keeps the
+  // file whole if the process dies mid-write. A failed write calls undo so
+  // memory keeps matching the file, and does not fail the writes after it.
+  persist(undo) {
+    const write = this.writing.catch(() => {}).then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(this.presets, null, 2));
+        await fs.rename(tmp, this.file);
+      } catch (error) {
+        undo();
+        throw error;
+      }
+    });
+    this.writing = write;
+    return write;
+  }
+
+  async list() {
+    const presets = await this.load();
+    return Object.entries(presets).map(([name, p]) => ({ name, ...p }));
+  }
+
+  async get(name) {
+    const presets = await this.load();
+    return Object.prototype.hasOwnProperty.call(presets, name) ? { name, ...presets[name] } : null;
+  }
+
+  async set(name, params) {
+    const presets = await this.load();
+    const previous = presets[name];
+    const entry = { params, updatedAt: new Date().toISOString() };
+    presets[name] = entry;
+    await this.persist(() => {
+      if (presets[name] !== entry) return; // replaced again meanwhile
+      if (previous) presets[name] = previous;
+      else delete presets[name];
+    });
+    return { name, ...entry };
+  }
+
+  async remove(name) {
+    const presets = await this.load();
+    if (!Object.prototype.hasOwnProperty.call(presets, name)) return false;
+    const removed = presets[name];
+    delete presets[name];
+    await this.persist(() => {
+      if (!Object.prototype.hasOwnProperty.call(presets, name)) presets[name] = removed;
+    });
+    return true;
+  }
+}
+
+// Checks a preset name + params object from a request body
+// Returns an error message, or null when valid
+function validatePreset(name, params) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    return 'Preset name must be 1-64 characters of letters, digits, ".", "_" or "-"';
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return 'params must be an object of /crop fields';
+  }
+  for (const [key, value] of Object.entries(params)) {
+    if (key === 'preset' || key === 'image') return `"${key}" cannot be stored in a preset`;
+    if (key === 'pipeline' && Array.isArray(value)) continue;
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      return `params.${key} must be a string, number or boolean`;
+    }
+  }
+  return null;
+}
+
+// Form fields arrive as strings; store presets the same way
+// (a pipeline array is kept as its JSON text, like the form field)
+function normalizeParams(params) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(params)) {
+    normalized[key] = Array.isArray(value) ? JSON.stringify(value) : String(value);
+  }
+  return normalized;
+}
+
+module.exports = { PresetStore, validatePreset, normalizeParams };
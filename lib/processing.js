@@ -0,0 +1,621 @@
+// Image processing behind the HTTP routes, the library (lib/index.js) and
+// the auto-crop CLI: form fields -> parameters, then crop / extract /
+// analyze / trim / split on one image (file path or buffer).
+// The pixel loops run on a WorkerPool of lib/crop-worker.js passed in as
+// `pool`; log is a Logger (lib/logger.js) that also receives the worker's
+// step events. Errors: ParamsError / PipelineError for bad fields.
+
+const sharp = require('sharp');
+const { logger } = require('./logger');
+const { resolvePipeline, parseBackgroundParams, detectBackgroundColor, rgbToHex } = require('./pipeline');
+const { parseFormatParams, encodeImage } = require('./formats');
+const { parseCanvasParams, placeOnCanvas } = require('./canvas');
+const { parseLayout, detectPanels, gridCells, assignGrid } = require('./layout');
+const { autoThreshold, distancesTo } = require('./threshold');
+const { ParamsError, validateParams, CROP_FIELDS, EXTRACT_FIELDS, TRIM_FIELDS, SPLIT_FIELDS } = require('./params');
+
+// Images the batch endpoint and the CLI pick up (ZIP entries, directories)
+const IMAGE_FILE = /\.(png|jpe?g|webp|gif|tiff?|avif|bmp)$/i;
+
+// ============================================
+// PARAMETERS
+// ============================================
+
+// Parses the /crop form fields into a parameter set shared by /crop and /crop/batch
+// Throws ParamsError listing every field outside its declared type or range
+// (CROP_FIELDS in lib/params.js), then PipelineError for a bad `pipeline`
+function parseCropParams(body) {
+  const v = validateParams(CROP_FIELDS, body);
+  const params = {
+    threshold: v.threshold, // auto = from the distance histogram
+    edgeThreshold: Math.round(v.edgeThreshold),
+    enableErosion: v.erosion,
+    erosionRadius: v.erosionRadius,
+    enableDecontamination: v.decontamination,
+    enableMatting: v.matting,
+    enableAntiAlias: v.antiAlias,
+    enableSpillRemoval: v.spillRemoval,
+    enableEdgeRecolor: v.edgeRecolor,
+    enableColorReplace: v.colorReplace,
+    colorReplaceThreshold: v.colorReplaceThreshold,
+    colorReplaceTarget: v.colorReplaceTarget,
+    edgeRecolorDepth: v.edgeRecolorDepth,
+    edgeRecolorColor: v.edgeRecolorColor,
+    spillStrength: v.spillStrength,
+    spillColor: v.spillColor,
+    antiAliasRadius: v.antiAliasRadius,
+    mattingRadius: v.mattingRadius,
+    mattingStrength: v.mattingStrength,
+    enableSoftening: v.softening,
+    softenRadius: v.softenRadius,
+    enableFeather: v.feather,
+    featherRadius: v.featherRadius,
+    enableDilation: v.dilation,
+    dilationRadius: v.dilationRadius,
+    minIslandSize: v.minIslandSize,
+    upscaleFactor: v.upscale,
+    background: parseBackgroundParams(v.bgColor, v.bgPoint), // null = detect from the edges
+    bgModel: v.bgModel, // gradient = per-pixel fitted backdrop
+    colorMetric: v.colorMetric, // cie76 | cie94 | ciede2000 | rgb
+    output: v.output,
+    responseType: v.responseType, // json = base64 image + metadata
+    format: parseFormatParams(body),
+    canvas: parseCanvasParams(body)
+  };
+  // Ordered post-processing steps; toggles above decide the default order
+  params.pipeline = resolvePipeline(body.pipeline, params);
+  return params;
+}
+
+function parseExtractParams(body) {
+  const { minArea, sort, output } = validateParams(EXTRACT_FIELDS, body);
+  return {
+    // diagnostic modes are /crop only; body.output picks zip|json here
+    ...parseCropParams({ ...body, output: undefined, responseType: undefined }),
+    output: 'image',
+    minArea,
+    sort,
+    responseFormat: output
+  };
+}
+
+function parseTrimParams(body) {
+  const { threshold } = validateParams(TRIM_FIELDS, body);
+  return { threshold, format: parseFormatParams(body) };
+}
+
+// Response mode: output=json|first. format=json|first is still accepted for
+// older n8n flows; any other format value picks the panel image format.
+function parseSplitParams(body) {
+  const v = validateParams(SPLIT_FIELDS, body);
+  const legacyMode = v.format === 'json' || v.format === 'first';
+  return {
+    trimThreshold: v.threshold,
+    trimPadding: v.padding,
+    skipEmpty: v.skipEmpty,
+    layout: parseLayout(v.layout), // auto (gutter detection) | halves | grid:RxC
+    minGutter: v.minGutter, // 0 = 0.5% of the shorter side
+    outputFormat: body.output ? v.output : (legacyMode ? v.format : 'json'), // 'json' veya 'first' (ilk paneli binary döner)
+    format: parseFormatParams(legacyMode ? { ...body, format: undefined } : body)
+  };
+}
+
+// ============================================
+// CROP
+// ============================================
+
+// Diagnostic rasters are always PNG
+const PNG_FORMAT = parseFormatParams({});
+
+// Step parameters with colors as hex, for logs and crop metadata
+function stepParamsHex(p) {
+  return Object.fromEntries(
+    Object.entries(p).map(([name, value]) => [name, typeof value === 'object' ? rgbToHex(value) : value])
+  );
+}
+
+// Worker task messages: log events are written under the task's request,
+// step progress goes to onStep(name, at)
+function workerMessages(log, onStep) {
+  return msg => (msg.type === 'log' ? log.write(msg.entry) : onStep(msg.step, msg.at));
+}
+
+// Load image with alpha (+ optional upscale) as raw pixels for the worker
+async function loadForPipeline(input, upscaleFactor) {
+  const imageMeta = await sharp(input).metadata();
+  const origWidth = imageMeta.width;
+  const origHeight = imageMeta.height;
+
+  let imageSharp = sharp(input).ensureAlpha();
+  if (upscaleFactor > 1) {
+    imageSharp = imageSharp.resize(origWidth * upscaleFactor, origHeight * upscaleFactor, {
+      kernel: sharp.kernel.lanczos3
+    });
+  }
+  const { data, info } = await imageSharp.raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, channels: info.channels, origWidth, origHeight };
+}
+
+// Per-step durations (ms) for responseType=json and X-Crop-Timings.
+// step(name, at) ends the running step and starts the next, then calls
+// onStep; worker steps pass the time they started on the worker thread.
+const clockNow = () => performance.timeOrigin + performance.now();
+
+function stepTimer(onStep) {
+  const timings = [];
+  let startedAt = 0;
+  const close = at => {
+    const last = timings[timings.length - 1];
+    if (last && last.ms === undefined) last.ms = Math.round(Math.max(0, at - startedAt) * 10) / 10;
+  };
+  return {
+    step(name, at = clockNow()) {
+      close(at);
+      startedAt = at;
+      timings.push({ step: name });
+      onStep(name);
+    },
+    done() {
+      close(clockNow());
+      return timings;
+    }
+  };
+}
+
+// Runs the flood-fill pipeline on one image (the server's processCrop adds
+// the result cache). Returns the encoded image plus the detected background,
+// the trim rectangle (original coordinates) and pixel counts.
+// timer: stepTimer() that every step is reported through
+// rejectWhenFull=false waits for a worker even when the pool queue is full
+async function renderCrop(input, params, { pool, timer, rejectWhenFull = true, log = logger }) {
+  const { upscaleFactor } = params;
+
+  timer.step('load');
+  const { data, width, height, channels, origWidth, origHeight } = await loadForPipeline(input, upscaleFactor);
+  
+  log.info('📏 Image loaded', { step: 'load', width: origWidth, height: origHeight, processingWidth: width, processingHeight: height, channels });
+  
+  // Steps 1-7e: pixel pipeline on a worker thread ('queue' = waiting for one)
+  timer.step('queue');
+  const processed = await pool.run(
+    { data, width, height, channels, params },
+    { transferList: [data.buffer], onMessage: workerMessages(log, timer.step), rejectWhenFull }
+  );
+  const { data: processedData, bgColor, bgColors, bgModel, threshold, stats } = processed;
+  const summary = {
+    bgColor, bgColors, bgModel, threshold, stats,
+    width: origWidth,
+    height: origHeight,
+    processingWidth: width,
+    processingHeight: height
+  };
+  
+  // Diagnostic outputs: untrimmed, at processing resolution
+  if (processed.diagnostic) {
+    timer.step('encode');
+    let diagnosticSharp = sharp(processedData, {
+      raw: { width, height, channels: processed.channels }
+    });
+    if (processed.channels === 1) diagnosticSharp = diagnosticSharp.toColourspace('b-w');
+    const buffer = await encodeImage(diagnosticSharp, PNG_FORMAT).toBuffer();
+    return { buffer, ...summary, trim: null, placement: null, format: PNG_FORMAT };
+  }
+  
+  // Step 8: Crop to content (+ downscale back to original resolution)
+  timer.step('trim');
+  const { data: trimmedData, info: trimInfo } = await sharp(processedData, {
+    raw: { width, height, channels }
+  }).trim().raw().toBuffer({ resolveWithObject: true });
+  const trim = {
+    left: Math.round(-(trimInfo.trimOffsetLeft || 0) / upscaleFactor),
+    top: Math.round(-(trimInfo.trimOffsetTop || 0) / upscaleFactor),
+    width: Math.round(trimInfo.width / upscaleFactor),
+    height: Math.round(trimInfo.height / upscaleFactor)
+  };
+
+  let finalSharp = sharp(trimmedData, {
+    raw: { width: trimInfo.width, height: trimInfo.height, channels: trimInfo.channels }
+  });
+
+  if (upscaleFactor > 1) {
+    finalSharp = finalSharp.resize(origWidth, origHeight, {
+      kernel: sharp.kernel.lanczos3
+    });
+  }
+
+  // Step 8b: Place on a fixed canvas (size, margins, alignment, background)
+  let placement = null;
+  if (params.canvas) {
+    timer.step('canvas');
+    const placed = await placeOnCanvas(finalSharp, params.canvas);
+    finalSharp = placed.image;
+    placement = placed.placement;
+    log.info('🖼️ Canvas placement', {
+      step: 'canvas',
+      width: params.canvas.width,
+      height: params.canvas.height,
+      align: params.canvas.align,
+      placement
+    });
+  }
+
+  // (the lazy upscale resize runs here or in placeOnCanvas)
+  timer.step('encode');
+  const result = await encodeImage(finalSharp, params.format).toBuffer();
+
+  return { buffer: result, ...summary, trim, placement, format: params.format };
+}
+
+// /crop result metadata: the body for responseType=json and, flattened,
+// the X-Crop-* headers of a binary response
+function cropMetadata(result, params) {
+  return {
+    output: params.output,
+    format: result.format.type,
+    originalSize: { width: result.width, height: result.height },
+    processingSize: { width: result.processingWidth, height: result.processingHeight },
+    trim: result.trim, // original coordinates, null for diagnostic outputs
+    canvasPlacement: result.placement,
+    background: result.bgColor,
+    backgroundColors: result.bgColors.map(rgbToHex),
+    backgroundModel: result.bgModel,
+    threshold: result.threshold,
+    colorMetric: params.colorMetric,
+    edgeThreshold: params.edgeThreshold,
+    upscale: params.upscaleFactor,
+    minIslandSize: params.minIslandSize * params.upscaleFactor * params.upscaleFactor,
+    backgroundPixels: result.stats.backgroundPixels,
+    edgePixels: result.stats.edgePixels,
+    islandsRemoved: result.stats.islandsRemoved,
+    islandPixels: result.stats.islandPixels,
+    // mask/edges/debug stop before post-processing
+    steps: ['mask', 'edges', 'debug'].includes(params.output)
+      ? []
+      : params.pipeline.map(({ step, params: p }) => ({ step, params: stepParamsHex(p) })),
+    timings: result.timings,
+    cache: result.cache
+  };
+}
+
+// ============================================
+// EXTRACT + ANALYZE
+// ============================================
+
+function sortObjects(objects, sort) {
+  if (sort === 'size') {
+    return [...objects].sort((a, b) => b.area - a.area);
+  }
+  return assignGrid(objects.map((o, i) => ({ ...o.bbox, i })))
+    .map(({ i, row, col }) => ({ ...objects[i], row, col }));
+}
+
+// Every foreground object of one image, cut out, trimmed and encoded
+// (objects named object-01, ... in params.sort order)
+async function processExtract(input, params, { pool, onStep = () => {}, rejectWhenFull = true, log = logger }) {
+  const { upscaleFactor: scale } = params;
+  
+  onStep('load');
+  const { data, width, height, channels, origWidth, origHeight } = await loadForPipeline(input, scale);
+  log.info('📏 Image loaded', { step: 'load', width: origWidth, height: origHeight, processingWidth: width, processingHeight: height, channels });
+  
+  // Steps 1-7e + component labelling on a worker thread
+  const { bgColor, bgColors, threshold, objects } = await pool.run(
+    { task: 'extract', data, width, height, channels, params: { ...params, minArea: params.minArea * scale * scale } },
+    { transferList: [data.buffer], onMessage: workerMessages(log, onStep), rejectWhenFull }
+  );
+  
+  // Step 8 per object: trim the padding, back to original resolution, encode
+  onStep('encode');
+  const encoded = [];
+  for (const object of objects) {
+    const { data: trimmed, info } = await sharp(object.data, {
+      raw: { width: object.box.width, height: object.box.height, channels }
+    }).trim().raw().toBuffer({ resolveWithObject: true });
+    
+    let objectSharp = sharp(trimmed, { raw: { width: info.width, height: info.height, channels: info.channels } });
+    if (scale > 1) {
+      objectSharp = objectSharp.resize(
+        Math.max(1, Math.round(info.width / scale)),
+        Math.max(1, Math.round(info.height / scale)),
+        { kernel: sharp.kernel.lanczos3 }
+      );
+    }
+    if (params.canvas) {
+      objectSharp = (await placeOnCanvas(objectSharp, params.canvas)).image;
+    }
+    const { data: buffer, info: outInfo } = await encodeImage(objectSharp, params.format)
+      .toBuffer({ resolveWithObject: true });
+    
+    encoded.push({
+      bbox: {
+        left: Math.floor(object.left / scale),
+        top: Math.floor(object.top / scale),
+        width: Math.ceil(object.width / scale),
+        height: Math.ceil(object.height / scale)
+      },
+      area: Math.round(object.area / (scale * scale)),
+      centroid: {
+        x: Math.round(object.centroid.x / scale * 10) / 10,
+        y: Math.round(object.centroid.y / scale * 10) / 10
+      },
+      width: outInfo.width,
+      height: outInfo.height,
+      buffer
+    });
+  }
+  
+  const sorted = sortObjects(encoded, params.sort).map((object, i) => ({
+    name: `object-${String(i + 1).padStart(2, '0')}`,
+    ...object
+  }));
+  
+  return { width: origWidth, height: origHeight, bgColor, bgColors, threshold, objects: sorted, format: params.format };
+}
+
+// /analyze report at the original resolution (params.upscaleFactor is ignored)
+async function processAnalyze(input, params, { pool, onStep = () => {}, rejectWhenFull = true, log = logger }) {
+  onStep('load');
+  const { data, width, height, channels } = await loadForPipeline(input, 1);
+  log.info('📏 Image loaded', { step: 'load', width, height, channels });
+  
+  const report = await pool.run(
+    { task: 'analyze', data, width, height, channels, params },
+    { transferList: [data.buffer], onMessage: workerMessages(log, onStep), rejectWhenFull }
+  );
+  return { width, height, ...report };
+}
+
+// ============================================
+// TRIM
+// ============================================
+
+// sharp trims against the top-left pixel using the largest channel
+// difference, so auto measures the histogram the same way
+async function autoTrimThreshold(input) {
+  const { data, info } = await sharp(input).raw().toBuffer({ resolveWithObject: true });
+  const background = { r: data[0], g: data[1], b: data[2] };
+  const distances = distancesTo(data, info.width, info.height, info.channels, background, 'max');
+  return autoThreshold(distances, { range: 128 });
+}
+
+// Returns { buffer, threshold, width, height } - threshold is the value
+// actually used, width/height the input size
+async function processTrim(input, params, { onStep = () => {}, log = logger } = {}) {
+  let { threshold } = params;
+  const { width, height } = await sharp(input).metadata();
+  if (threshold === 'auto') {
+    onStep('auto-threshold');
+    const auto = await autoTrimThreshold(input);
+    threshold = auto.threshold;
+    log.info('🎚️ Auto trim threshold', { step: 'auto-threshold', threshold, method: auto.method });
+  }
+  onStep('trim');
+  const buffer = await encodeImage(sharp(input).trim({ threshold }), params.format)
+    .toBuffer();
+  return { buffer, threshold, width, height };
+}
+
+// ============================================
+// SPLIT
+// ============================================
+
+// Trims one panel to the pixels further than trimThreshold from the median
+// corner color (+ trimPadding); isEmpty when there are none
+async function detectAndTrimPanel(buffer, trimThreshold, trimPadding) {
+  const image = sharp(buffer);
+  const meta = await image.metadata();
+  const { width, height, channels } = meta;
+  
+  const raw = await image.raw().toBuffer();
+  
+  // Sample corner pixels for background color
+  const getPixel = (x, y) => {
+    const idx = (y * width + x) * channels;
+    return [raw[idx], raw[idx + 1], raw[idx + 2]];
+  };
+  
+  const corners = [
+    getPixel(0, 0),
+    getPixel(width - 1, 0),
+    getPixel(0, height - 1),
+    getPixel(width - 1, height - 1)
+  ];
+  
+  // Median background color
+  const bg = [0, 1, 2].map(ch => {
+    const vals = corners.map(c => c[ch]).sort((a, b) => a - b);
+    return Math.round((vals[1] + vals[2]) / 2);
+  });
+  
+  // Find bounding box of non-background pixels
+  let minX = width, minY = height, maxX = 0, maxY = 0;
+  let hasContent = false;
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * channels;
+      const r = raw[idx], g = raw[idx + 1], b = raw[idx + 2];
+      
+      const dist = Math.sqrt(
+        (r - bg[0]) ** 2 + (g - bg[1]) ** 2 + (b - bg[2]) ** 2
+      );
+      
+      if (dist > trimThreshold) {
+        hasContent = true;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+  
+  if (!hasContent) {
+    return { buffer, width, height, isEmpty: true };
+  }
+  
+  // Apply padding
+  minX = Math.max(0, minX - trimPadding);
+  minY = Math.max(0, minY - trimPadding);
+  maxX = Math.min(width - 1, maxX + trimPadding);
+  maxY = Math.min(height - 1, maxY + trimPadding);
+  
+  const cropW = maxX - minX + 1;
+  const cropH = maxY - minY + 1;
+  
+  // Phase 1: Manual crop based on bg detection
+  const croppedBuffer = await sharp(buffer)
+    .extract({ left: minX, top: minY, width: cropW, height: cropH })
+    .png()
+    .toBuffer();
+  
+  // Phase 2: Sharp trim to catch JPEG artifact borders
+  // (white/gray fringes that manual detection misses)
+  try {
+    const finalBuffer = await sharp(croppedBuffer)
+      .trim({ threshold: 20 })
+      .png()
+      .toBuffer();
+    
+    const finalMeta = await sharp(finalBuffer).metadata();
+    return {
+      buffer: finalBuffer,
+      width: finalMeta.width,
+      height: finalMeta.height,
+      isEmpty: false
+    };
+  } catch (e) {
+    // trim() can fail if entire image is one color
+    return {
+      buffer: croppedBuffer,
+      width: cropW,
+      height: cropH,
+      isEmpty: false
+    };
+  }
+}
+
+// Panel rectangles for the requested layout, each with row/col + name
+async function splitCells(input, width, height, params) {
+  const { layout } = params;
+  
+  if (layout.mode === 'halves') {
+    const mid = Math.floor(width / 2);
+    return [
+      { name: 'left', row: 0, col: 0, left: 0, top: 0, width: mid, height },
+      { name: 'right', row: 0, col: 1, left: mid, top: 0, width: width - mid, height }
+    ];
+  }
+  
+  let cells;
+  if (layout.mode === 'grid') {
+    // every cell needs at least one pixel (the image size is only known here)
+    if (layout.rows > height || layout.cols > width) {
+      throw new ParamsError([{
+        field: 'layout',
+        message: `grid:${layout.rows}x${layout.cols} needs an image of at least ${layout.cols}x${layout.rows} pixels, got ${width}x${height}`
+      }]);
+    }
+    cells = gridCells(width, height, layout.rows, layout.cols)
+      .map((cell, i) => ({ ...cell, row: Math.floor(i / layout.cols), col: i % layout.cols }));
+  } else {
+    const { data, info } = await sharp(input).raw().toBuffer({ resolveWithObject: true });
+    cells = assignGrid(detectPanels(data, info.width, info.height, info.channels, {
+      threshold: params.trimThreshold,
+      minGutter: params.minGutter
+    }));
+    // Two panels side by side keep the names of the old fixed split,
+    // which n8n flows key on
+    if (cells.length === 2 && cells.every(cell => cell.row === 0)) {
+      return cells.map(cell => ({ ...cell, name: cell.col === 0 ? 'left' : 'right' }));
+    }
+  }
+  return cells.map(cell => ({ ...cell, name: `r${cell.row + 1}c${cell.col + 1}` }));
+}
+
+// threshold=auto for /split: one value for layout detection and every
+// panel, from RGB distances to the whole image's background color
+async function autoSplitThreshold(input) {
+  const { data, info } = await sharp(input).raw().toBuffer({ resolveWithObject: true });
+  const background = detectBackgroundColor(data, info.width, info.height, info.channels);
+  const distances = distancesTo(data, info.width, info.height, info.channels, background);
+  return autoThreshold(distances, { range: 160 });
+}
+
+// Panels of one image, each trimmed to its content and encoded
+async function processSplit(input, params, { onStep = () => {}, log = logger } = {}) {
+  const { trimPadding, skipEmpty, format } = params;
+  
+  // Get image dimensions
+  onStep('split');
+  const metadata = await sharp(input).metadata();
+  const { width, height } = metadata;
+  log.info('📏 Image loaded', { step: 'split', width, height });
+  
+  let { trimThreshold } = params;
+  if (trimThreshold === 'auto') {
+    onStep('auto-threshold');
+    const auto = await autoSplitThreshold(input);
+    trimThreshold = auto.threshold;
+    log.info('🎚️ Auto trim threshold', { step: 'auto-threshold', threshold: trimThreshold, method: auto.method });
+  }
+  
+  const cells = await splitCells(input, width, height, { ...params, trimThreshold });
+  log.info('🧱 Layout', { step: 'layout', mode: params.layout.mode, cells: cells.length });
+  
+  const panels = [];
+  
+  for (const cell of cells) {
+    const panelName = cell.name;
+    const source = { left: cell.left, top: cell.top, width: cell.width, height: cell.height };
+    
+    const buffer = await sharp(input)
+      .extract(source)
+      .png()
+      .toBuffer();
+    
+    onStep(`trim-${panelName}`);
+    const trimmed = await detectAndTrimPanel(buffer, trimThreshold, trimPadding);
+    
+    if (skipEmpty && trimmed.isEmpty) {
+      log.info('⏭️ Empty panel skipped', { step: `trim-${panelName}`, panel: panelName });
+      continue;
+    }
+    
+    log.info('✅ Panel trimmed', { step: `trim-${panelName}`, panel: panelName, source, width: trimmed.width, height: trimmed.height });
+    
+    // detectAndTrimPanel works in PNG; re-encode only for other formats
+    const panelBuffer = format.type === 'png'
+      ? trimmed.buffer
+      : await encodeImage(sharp(trimmed.buffer), format).toBuffer();
+    
+    panels.push({
+      name: panelName,
+      row: cell.row,
+      col: cell.col,
+      source,
+      buffer: panelBuffer,
+      width: trimmed.width,
+      height: trimmed.height
+    });
+  }
+  
+  return { width, height, panels, format, layout: params.layout, trimThreshold };
+}
+
+module.exports = {
+  IMAGE_FILE,
+  PNG_FORMAT,
+  parseCropParams,
+  parseExtractParams,
+  parseTrimParams,
+  parseSplitParams,
+  stepParamsHex,
+  stepTimer,
+  renderCrop,
+  cropMetadata,
+  processExtract,
+  processAnalyze,
+  processTrim,
+  processSplit
+};
@@ -0,0 +1,159 @@
+// Content-addressed on-disk result cache for /crop
+// The key is a SHA-256 of the input bytes plus the parsed parameter set, so
+// rerunning the same image with the same settings skips decode, upscale and
+// the pixel pipeline. Each entry is <key>.bin (output) + <key>.json (result
+// metadata); the .json is written last and marks the entry complete.
+// Total size is bounded by maxBytes, least recently used entries go first.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when the pipeline output changes so old entries stop matching
+const CACHE_VERSION = 1;
+
+class ResultCache {
+  constructor(dir, maxBytes) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key -> bytes, least recently used first
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.loading = null;
+  }
+
+  get enabled() {
+    return this.maxBytes > 0;
+  }
+
+  static key(input, params) {
+    return crypto.createHash('sha256')
+      .update(`v${CACHE_VERSION}\n`)
+      .update(crypto.createHash('sha256').update(input).digest('hex'))
+      .update('\n')
+      .update(JSON.stringify(params))
+      .digest('hex');
+  }
+
+  file(key, ext) {
+    return path.join(this.dir, `${key}.${ext}`);
+  }
+
+  // Index the entries already on disk, oldest use (mtime) first. Temp
+  // files and .bin files without their .json are what a crash mid-write
+  // leaves behind: they are deleted, so nothing outside the index takes
+  // disk space the size limit does not see.
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        await fs.mkdir(this.dir, { recursive: true });
+        const names = new Set(await fs.readdir(this.dir));
+        const found = [];
+        for (const name of names) {
+          const incomplete = name.endsWith('.tmp') || (name.endsWith('.bin') && !names.has(`${name.slice(0, -4)}.json`));
+          if (incomplete) {
+            await fs.unlink(path.join(this.dir, name)).catch(() => {});
+            continue;
+          }
+          if (!name.endsWith('.json')) continue;
+          const key = name.slice(0, -5);
+          try {
+            const [meta, bin] = await Promise.all([fs.stat(this.file(key, 'json')), fs.stat(this.file(key, 'bin'))]);
+            found.push({ key, size: meta.size + bin.size, usedAt: meta.mtimeMs });
+          } catch (error) {
+            await this.remove(key);
+          }
+        }
+        found.sort((a, b) => a.usedAt - b.usedAt);
+        for (const { key, size } of found) {
+          this.entries.set(key, size);
+          this.bytes += size;
+        }
+        await this.evict();
+      })();
+    }
+    return this.loading;
+  }
+
+  // Returns { buffer, meta } or null; counts the hit or miss
+  async get(key) {
+    await this.load();
+    if (!this.entries.has(key)) {
+      this.misses++;
+      return null;
+    }
+    let buffer, meta;
+    try {
+      [buffer, meta] = await Promise.all([fs.readFile(this.file(key, 'bin')), fs.readFile(this.file(key, 'json'), 'utf8')]);
+      meta = JSON.parse(meta);
+    } catch (error) {
+      this.bytes -= this.entries.get(key);
+      this.entries.delete(key);
+      await this.remove(key);
+      this.misses++;
+      return null;
+    }
+    // Most recently used: end of the map, and mtime for the next load()
+    const size = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, size);
+    const now = new Date();
+    fs.utimes(this.file(key, 'json'), now, now).catch(() => {});
+    this.hits++;
+    return { buffer, meta };
+  }
+
+  async set(key, buffer, meta) {
+    await this.load();
+    const metaText = JSON.stringify(meta);
+    const size = buffer.length + Buffer.byteLength(metaText);
+    if (size > this.maxBytes) return;
+
+    // temp file + rename: a crash never leaves a half-written entry
+    const tmp = `.${crypto.randomBytes(8).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(this.file(key, 'bin') + tmp, buffer);
+      await fs.rename(this.file(key, 'bin') + tmp, this.file(key, 'bin'));
+      await fs.writeFile(this.file(key, 'json') + tmp, metaText);
+      await fs.rename(this.file(key, 'json') + tmp, this.file(key, 'json'));
+    } catch (error) {
+      await Promise.all(['json', 'bin'].map(ext => fs.unlink(this.file(key, ext) + tmp).catch(() => {})));
+      throw error;
+    }
+
+    if (this.entries.has(key)) this.bytes -= this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, size);
+    this.bytes += size;
+    await this.evict();
+  }
+
+  async evict() {
+    for (const [key, size] of this.entries) {
+      if (this.bytes <= this.maxBytes) break;
+      this.entries.delete(key);
+      this.bytes -= size;
+      await this.remove(key);
+    }
+  }
+
+  async remove(key) {
+    await Promise.all(['json', 'bin'].map(ext => fs.unlink(this.file(key, ext)).catch(() => {})));
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round(this.hits / lookups * 1000) / 1000 : null
+    };
+  }
+}
+
+module.exports = { ResultCache, CACHE_VERSION };
@@ -0,0 +1,98 @@
+// threshold=auto for /crop, /split and /trim
+// Picks a background cut from the histogram of background distances:
+// Otsu splits backdrop from subject, then the emptiest stretch (valley)
+// between the backdrop peak and the Otsu cut is used, so JPEG noise around
+// the backdrop stays background while soft subject colors stay foreground.
+// Distances are in the caller's units (colorMetric for /crop, RGB for the rest).
+
+const AUTO_THRESHOLD_BINS = 256;
+const VALLEY_SMOOTHING = 2; // box filter radius in bins
+const VALLEY_TOLERANCE = 0.01; // of the backdrop peak height
+
+// distances: array-like of per-pixel distances, range: largest distance
+// the histogram resolves (farther pixels count as the last bin)
+// Returns { threshold, method: 'valley' | 'otsu', separability }
+// separability: Otsu's between-class / total variance (0..1); near 1 when
+// backdrop and subject distances form two clearly separate groups
+function autoThreshold(distances, { range = 64, min = 1 } = {}) {
+  const binWidth = range / AUTO_THRESHOLD_BINS;
+  const hist = new Float64Array(AUTO_THRESHOLD_BINS);
+  for (let i = 0; i < distances.length; i++) {
+    hist[Math.min(AUTO_THRESHOLD_BINS - 1, Math.floor(distances[i] / binWidth))]++;
+  }
+
+  // Otsu: the cut that maximises between-class variance
+  let total = 0, sum = 0, sumSquares = 0;
+  for (let i = 0; i < AUTO_THRESHOLD_BINS; i++) {
+    total += hist[i];
+    sum += i * hist[i];
+    sumSquares += i * i * hist[i];
+  }
+  let weightB = 0, sumB = 0, bestVariance = -1, otsu = 0;
+  for (let i = 0; i < AUTO_THRESHOLD_BINS; i++) {
+    weightB += hist[i];
+    if (weightB === 0) continue;
+    const weightF = total - weightB;
+    if (weightF === 0) break;
+    sumB += i * hist[i];
+    const meanB = sumB / weightB;
+    const meanF = (sum - sumB) / weightF;
+    const variance = weightB * weightF * (meanB - meanF) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      otsu = i;
+    }
+  }
+
+  // Valley: centre of the first near-empty run between the backdrop peak and the Otsu cut
+  const smooth = new Float64Array(AUTO_THRESHOLD_BINS);
+  for (let i = 0; i < AUTO_THRESHOLD_BINS; i++) {
+    let acc = 0, n = 0;
+    for (let k = Math.max(0, i - VALLEY_SMOOTHING); k <= Math.min(AUTO_THRESHOLD_BINS - 1, i + VALLEY_SMOOTHING); k++) {
+      acc += hist[k];
+      n++;
+    }
+    smooth[i] = acc / n;
+  }
+  let peak = 0;
+  for (let i = 1; i <= otsu; i++) if (smooth[i] > smooth[peak]) peak = i;
+  let valley = peak;
+  for (let i = peak; i <= otsu; i++) if (smooth[i] < smooth[valley]) valley = i;
+
+  let cut = otsu + 1, method = 'otsu';
+  if (valley > peak && valley < otsu) {
+    const limit = smooth[valley] + smooth[peak] * VALLEY_TOLERANCE;
+    let start = valley, end = valley;
+    while (start > peak && smooth[start - 1] <= limit) start--;
+    while (end < otsu && smooth[end + 1] <= limit) end++;
+    cut = (start + end + 1) / 2;
+    method = 'valley';
+  }
+
+  const totalVariance = total > 0 ? sumSquares / total - (sum / total) ** 2 : 0;
+  const separability = totalVariance > 0 ? Math.min(1, bestVariance / (total * total * totalVariance)) : 0;
+
+  return {
+    threshold: Math.max(min, Math.round(cut * binWidth * 10) / 10),
+    method,
+    separability
+  };
+}
+
+// Per-pixel distance of raw RGB(A) data to one color.
+// norm: 'euclidean' (detectAndTrimPanel) or 'max' (largest channel
+// difference, how sharp's trim compares against its background)
+function distancesTo(data, width, height, channels, color, norm = 'euclidean') {
+  const total = width * height;
+  const out = new Float32Array(total);
+  for (let i = 0; i < total; i++) {
+    const idx = i * channels;
+    const dr = Math.abs(data[idx] - color.r);
+    const dg = Math.abs(data[idx + 1] - color.g);
+    const db = Math.abs(data[idx + 2] - color.b);
+    out[i] = norm === 'max' ? Math.max(dr, dg, db) : Math.sqrt(dr * dr + dg * dg + db * db);
+  }
+  return out;
+}
+
+module.exports = { autoThreshold, distancesTo };
@@ -0,0 +1,89 @@
+// Webhook delivery for job callbacks (callbackUrl)
+// POSTs one payload with retries and exponential backoff. With a secret
+// every attempt carries X-Webhook-Timestamp (unix seconds) and
+// X-Signature-256: sha256=<HMAC-SHA256 hex of "<timestamp>.<body>">, so
+// receivers can verify the sender and refuse old (replayed) deliveries.
+// Every attempt is appended to `attempts` as it happens (GET /jobs/:id
+// shows the list).
+
+const crypto = require('crypto');
+
+// body: string or Buffer, signed as sent
+function signBody(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex')}`;
+}
+
+// Delay before retry n (1 = first retry): base, 2x base, 4x base ... capped
+function retryDelay(retry, baseDelayMs, maxDelayMs) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+}
+
+// Network errors, timeouts, 408, 429 and 5xx are retried; other answers are final
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Returns { delivered, attempts }
+async function deliverWebhook(url, {
+  body,
+  headers = {},
+  secret = '',
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 60000,
+  timeoutMs = 10000,
+  attempts = []
+}) {
+  const baseHeaders = {
+    ...headers,
+    'User-Agent': 'yerlikaya-auto-crop-webhook',
+    'X-Webhook-Id': crypto.randomUUID() // same for every retry of this delivery
+  };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const startedAt = Date.now();
+    const record = { attempt, at: new Date(startedAt).toISOString(), status: null, durationMs: null, error: null };
+    attempts.push(record);
+
+    const attemptHeaders = { ...baseHeaders, 'X-Webhook-Attempt': String(attempt) };
+    if (secret) {
+      // signed per attempt: a retry minutes later still has a fresh timestamp
+      const timestamp = String(Math.floor(startedAt / 1000));
+      attemptHeaders['X-Webhook-Timestamp'] = timestamp;
+      attemptHeaders['X-Signature-256'] = signBody(secret, timestamp, body);
+    }
+
+    let retryable = true;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: attemptHeaders,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      await response.arrayBuffer().catch(() => {});
+      record.status = response.status;
+      if (response.ok) {
+        record.durationMs = Date.now() - startedAt;
+        return { delivered: true, attempts };
+      }
+      record.error = `HTTP ${response.status}`;
+      retryable = isRetryableStatus(response.status);
+    } catch (error) {
+      record.error = error.name === 'TimeoutError'
+        ? `Timed out after ${timeoutMs}ms`
+        : (error.cause ? error.cause.message : error.message);
+    }
+    record.durationMs = Date.now() - startedAt;
+
+    if (!retryable || attempt === maxAttempts) break;
+    record.retryInMs = retryDelay(attempt, baseDelayMs, maxDelayMs);
+    await sleep(record.retryInMs);
+  }
+  return { delivered: false, attempts };
+}
+
+module.exports = { signBody, retryDelay, isRetryableStatus, deliverWebhook };
@@ -0,0 +1,121 @@
+// Bounded worker_threads pool
+// Each worker handles one task at a time. Tasks beyond the pool size wait
+// in a FIFO queue; once the queue holds maxQueue tasks, run() rejects with
+// PoolFullError so the HTTP layer can answer 503 + Retry-After.
+
+const { Worker } = require('worker_threads');
+
+class PoolFullError extends Error {
+  constructor(retryAfter) {
+    super('Processing queue is full, try again later');
+    this.name = 'PoolFullError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+class WorkerPool {
+  constructor(file, { size = 1, maxQueue = 16, retryAfter = 10 } = {}) {
+    this.file = file;
+    this.size = size;
+    this.maxQueue = maxQueue;
+    this.retryAfter = retryAfter;
+    this.idle = [];
+    this.queue = [];
+    this.active = 0;
+    this.closed = false;
+    for (let i = 0; i < size; i++) this.idle.push(this.spawn());
+  }
+
+  spawn() {
+    const worker = new Worker(this.file);
+    worker.unref();
+    return worker;
+  }
+
+  // message is posted to the worker as-is, buffers in transferList are moved
+  // onMessage receives every non-final message (step progress, log events)
+  // Resolves with the worker's { type: 'done', result } payload
+  run(message, { transferList = [], onMessage = () => {}, rejectWhenFull = true } = {}) {
+    if (this.closed) return Promise.reject(new Error('Worker pool is closed'));
+    if (rejectWhenFull && this.idle.length === 0 && this.queue.length >= this.maxQueue) {
+      return Promise.reject(new PoolFullError(this.retryAfter));
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ message, transferList, onMessage, resolve, reject });
+      this.drain();
+    });
+  }
+
+  stats() {
+    return {
+      size: this.size,
+      active: this.active,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue
+    };
+  }
+
+  isFull() {
+    return this.idle.length === 0 && this.queue.length >= this.maxQueue;
+  }
+
+  // Terminates the idle workers; busy ones finish the queued tasks first
+  close() {
+    this.closed = true;
+    for (const worker of this.idle.splice(0)) worker.terminate().catch(() => {});
+  }
+
+  drain() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      this.execute(this.idle.pop(), this.queue.shift());
+    }
+  }
+
+  execute(worker, task) {
+    this.active++;
+    worker.ref();
+
+    const finish = (replace) => {
+      worker.off('message', onMessage);
+      worker.off('error', onError);
+      worker.off('exit', onExit);
+      this.active--;
+      if (replace || (this.closed && this.queue.length === 0)) {
+        worker.terminate().catch(() => {});
+        if (!this.closed || this.queue.length > 0) this.idle.push(this.spawn());
+      } else {
+        worker.unref();
+        this.idle.push(worker);
+      }
+      this.drain();
+    };
+
+    const onMessage = (msg) => {
+      if (msg.type === 'done') {
+        finish(false);
+        task.resolve(msg.result);
+      } else if (msg.type === 'error') {
+        finish(false);
+        task.reject(new Error(msg.message));
+      } else {
+        task.onMessage(msg);
+      }
+    };
+    // A crashed worker is replaced so the pool keeps its size
+    const onError = (error) => {
+      finish(true);
+      task.reject(error);
+    };
+    const onExit = (code) => {
+      finish(true);
+      task.reject(new Error(`Worker exited with code ${code}`));
+    };
+
+    worker.on('message', onMessage);
+    worker.once('error', onError);
+    worker.once('exit', onExit);
+    worker.postMessage(task.message, task.transferList);
+  }
+}
+
+module.exports = { WorkerPool, PoolFullError };
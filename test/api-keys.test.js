@@ -0,0 +1,103 @@
+// API keys (API_KEYS_FILE): authentication and per-key limits
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { startServer, testImage, postImage } = require('./helpers/server');
+
+const KEYS = {
+  keys: [
+    { name: 'open', key: 'open-key' },
+    { name: 'rate', key: 'rate-key', requestsPerMinute: 2 },
+    { name: 'single', key: 'single-key', concurrentJobs: 1 },
+    // 64x48 test image = 0.003 megapixels: one request uses the day up
+    { name: 'quota', key: 'quota-key', megapixelsPerDay: 0.001 }
+  ]
+};
+
+let keysDir;
+let server;
+let image;
+
+// Serves one image URL whose answer waits until release() is called,
+// so a /crop request stays in flight as long as a test needs
+let imageServer;
+let imageServerUrl;
+let pending = [];
+const release = () => pending.splice(0).forEach(send => send());
+
+before(async () => {
+  image = await testImage();
+  imageServer = http.createServer((req, res) => {
+    pending.push(() => res.writeHead(200, { 'Content-Type': 'image/png' }).end(image));
+  });
+  await new Promise(resolve => imageServer.listen(0, '127.0.0.1', resolve));
+  const imageHost = `127.0.0.1:${imageServer.address().port}`;
+  imageServerUrl = `http://${imageHost}/slow.png`;
+
+  keysDir = await fs.mkdtemp(path.join(os.tmpdir(), 'auto-crop-keys-'));
+  const keysFile = path.join(keysDir, 'keys.json');
+  await fs.writeFile(keysFile, JSON.stringify(KEYS));
+  server = await startServer({ API_KEYS_FILE: keysFile, IMAGE_URL_HOSTS: imageHost, RESULT_CACHE_MAX_BYTES: '0' });
+});
+
+after(async () => {
+  release();
+  if (server) await server.stop();
+  await new Promise(resolve => imageServer.close(resolve));
+  await fs.rm(keysDir, { recursive: true, force: true });
+});
+
+const crop = key => postImage(`${server.url}/crop`, image, {}, key ? { 'X-API-Key': key } : {});
+
+async function assertRefused(response, status, error) {
+  assert.strictEqual(response.status, status);
+  assert.match(response.headers.get('retry-after'), /^\d+$/);
+  assert.strictEqual((await response.json()).error, error);
+}
+
+test('refuses a missing or unknown key with 401', async () => {
+  const missing = await crop(null);
+  assert.strictEqual(missing.status, 401);
+  assert.strictEqual((await missing.json()).error, 'API key required');
+
+  const unknown = await crop('not-a-key');
+  assert.strictEqual(unknown.status, 401);
+  assert.strictEqual((await unknown.json()).error, 'Invalid API key');
+});
+
+test('accepts the key as X-API-Key or Bearer token', async () => {
+  assert.strictEqual((await crop('open-key')).status, 200);
+  const usage = await fetch(`${server.url}/usage`, { headers: { Authorization: 'Bearer open-key' } });
+  assert.strictEqual(usage.status, 200);
+  assert.strictEqual((await usage.json()).key, 'open');
+});
+
+test('answers 429 with Retry-After over requestsPerMinute', async () => {
+  assert.strictEqual((await crop('rate-key')).status, 200);
+  assert.strictEqual((await crop('rate-key')).status, 200);
+  await assertRefused(await crop('rate-key'), 429, 'Rate limit exceeded');
+});
+
+test('answers 429 with Retry-After over concurrentJobs', { timeout: 15000 }, async () => {
+  const headers = { 'Content-Type': 'application/json', 'X-API-Key': 'single-key' };
+  const body = JSON.stringify({ imageUrl: imageServerUrl });
+  const first = fetch(`${server.url}/crop`, { method: 'POST', headers, body });
+  while (pending.length === 0) await new Promise(resolve => setTimeout(resolve, 20));
+
+  await assertRefused(await crop('single-key'), 429, 'Too many concurrent jobs');
+  release();
+  assert.strictEqual((await first).status, 200);
+  assert.strictEqual((await crop('single-key')).status, 200);
+});
+
+test('answers 403 with Retry-After once megapixelsPerDay is used', { timeout: 15000 }, async () => {
+  assert.strictEqual((await crop('quota-key')).status, 200);
+  // charged when the response has finished
+  const used = async () => (await (await fetch(`${server.url}/usage`, { headers: { 'X-API-Key': 'quota-key' } })).json()).usage.megapixelsToday;
+  while (!(await used() > 0)) await new Promise(resolve => setTimeout(resolve, 20));
+
+  await assertRefused(await crop('quota-key'), 403, 'Daily quota exceeded');
+});
@@ -0,0 +1,121 @@
+// Runs improved-server.js as a child process on a free port, with its
+// presets, usage and result cache in a temporary directory unless env
+// names other files
+
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT = path.join(__dirname, '..', '..');
+const UPLOADS = path.join(ROOT, 'uploads');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+async function waitForServer(url, child, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    if (child.exitCode !== null) throw new Error(`server exited with code ${child.exitCode}`);
+    try {
+      if ((await fetch(`${url}/status`)).ok) return;
+    } catch (e) {
+      if (Date.now() > deadline) throw new Error(`server did not start within ${timeoutMs}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+// Uploads are removed after the response is sent: waits (up to timeoutMs)
+// for the ones created since `since`, so stopping the server leaves none
+async function waitForUploads(since, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const names = await fs.readdir(UPLOADS).catch(() => []);
+    const stats = await Promise.all(names.map(name => fs.stat(path.join(UPLOADS, name)).catch(() => null)));
+    if (!stats.some(stat => stat && stat.mtimeMs >= since)) return;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+// { url, dir, stop }: dir is the temporary directory, removed by stop()
+async function startServer(env = {}) {
+  const startedAt = Date.now();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'auto-crop-test-'));
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, ['improved-server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LOG_LEVEL: 'error',
+      PRESETS_FILE: path.join(dir, 'presets.json'),
+      USAGE_FILE: path.join(dir, 'usage.json'),
+      RESULT_CACHE_DIR: path.join(dir, 'cache'),
+      ...env
+    },
+    stdio: 'ignore'
+  });
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      await waitForUploads(startedAt, 5000);
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  };
+
+  try {
+    await waitForServer(url, child, 15000);
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+  return { url, dir, stop };
+}
+
+// A product-shot style PNG: a colored square on a light background
+function testImage({ width = 64, height = 48, background = '#eeeeee', color = '#c81e1e' } = {}) {
+  const square = Math.floor(Math.min(width, height) / 2);
+  return sharp({ create: { width, height, channels: 3, background } })
+    .composite([{
+      input: { create: { width: square, height: square, channels: 3, background: color } },
+      left: Math.floor((width - square) / 2),
+      top: Math.floor((height - square) / 2)
+    }])
+    .png()
+    .toBuffer();
+}
+
+// multipart POST with the image as "image" plus form fields
+async function postImage(url, image, fields = {}, headers = {}) {
+  const form = new FormData();
+  form.append('image', new Blob([image], { type: 'image/png' }), 'test.png');
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return fetch(url, { method: 'POST', body: form, headers });
+}
+
+// Polls GET /jobs/:id until the job is done or failed
+async function waitForJob(url, id, headers = {}, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await (await fetch(`${url}/jobs/${id}`, { headers })).json();
+    if (job.status === 'done' || job.status === 'failed') return job;
+    if (Date.now() > deadline) throw new Error(`job ${id} still ${job.status} after ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+module.exports = { ROOT, startServer, testImage, postImage, waitForJob };
@@ -0,0 +1,91 @@
+// imageUrl fetching (lib/image-input.js) against a local HTTP server
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { fetchImage, ImageInputError } = require('../lib/image-input');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+let server;
+let port;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    switch (req.url) {
+      case '/image.png':
+        res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG.length });
+        return res.end(PNG);
+      case '/redirect-allowed':
+        res.writeHead(302, { Location: '/image.png' });
+        return res.end();
+      case '/redirect-denied':
+        // same server, but under a host name that is not in the allowlist
+        res.writeHead(302, { Location: `http://localhost:${port}/image.png` });
+        return res.end();
+      case '/large':
+        res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': 4096 });
+        return res.end(Buffer.alloc(4096));
+      case '/large-chunked':
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        for (let i = 0; i < 4; i++) res.write(Buffer.alloc(1024));
+        return res.end();
+      case '/page.html':
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return res.end('<html>not found</html>');
+      default:
+        res.writeHead(404);
+        return res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const options = (overrides = {}) => ({ allowlist: [`127.0.0.1:${port}`], maxBytes: 1024, timeoutMs: 5000, ...overrides });
+const url = file => `http://127.0.0.1:${port}${file}`;
+
+const rejectsWith = (promise, status) => assert.rejects(promise, error => {
+  assert.ok(error instanceof ImageInputError, error.message);
+  assert.strictEqual(error.status, status, `${error.message}: ${error.details}`);
+  return true;
+});
+
+test('fetches an image from an allowed host', async () => {
+  const buffer = await fetchImage(url('/image.png'), options());
+  assert.deepStrictEqual(buffer, PNG);
+});
+
+test('follows a redirect within the allowed hosts', async () => {
+  const buffer = await fetchImage(url('/redirect-allowed'), options());
+  assert.deepStrictEqual(buffer, PNG);
+});
+
+test('refuses a host that is not allowed', async () => {
+  await rejectsWith(fetchImage(url('/image.png'), options({ allowlist: ['cdn.example.com'] })), 403);
+});
+
+test('refuses every host when the allowlist is empty', async () => {
+  await rejectsWith(fetchImage(url('/image.png'), options({ allowlist: [] })), 403);
+});
+
+test('refuses a redirect to a host that is not allowed', async () => {
+  await rejectsWith(fetchImage(url('/redirect-denied'), options()), 403);
+});
+
+test('refuses a body over the size limit by its content-length', async () => {
+  await rejectsWith(fetchImage(url('/large'), options()), 413);
+});
+
+test('refuses a chunked body once it passes the size limit', async () => {
+  await rejectsWith(fetchImage(url('/large-chunked'), options()), 413);
+});
+
+test('refuses a response that is not an image', async () => {
+  await rejectsWith(fetchImage(url('/page.html'), options()), 415);
+});
+
+test('reports a non-2xx answer as a failed fetch', async () => {
+  await rejectsWith(fetchImage(url('/missing.png'), options()), 502);
+});
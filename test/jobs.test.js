@@ -0,0 +1,35 @@
+// POST /jobs: job types, polling and results
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, testImage, postImage, waitForJob } = require('./helpers/server');
+
+let server;
+let image;
+
+before(async () => {
+  server = await startServer();
+  image = await testImage();
+});
+
+after(() => server && server.stop());
+
+test('runs a crop job to a downloadable result', async () => {
+  const response = await postImage(`${server.url}/jobs`, image, { type: 'crop' });
+  assert.strictEqual(response.status, 202);
+  const job = await waitForJob(server.url, (await response.json()).id);
+  assert.strictEqual(job.status, 'done');
+
+  const result = await fetch(`${server.url}/jobs/${job.id}/result`);
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(result.headers.get('content-type'), 'image/png');
+});
+
+test('refuses job types that are only Object.prototype names', async () => {
+  for (const type of ['toString', 'constructor', 'valueOf', 'hasOwnProperty', '__proto__']) {
+    const response = await postImage(`${server.url}/jobs`, image, { type });
+    assert.strictEqual(response.status, 400, type);
+    const body = await response.json();
+    assert.strictEqual(body.error, `Unknown job type: ${type}`);
+    assert.deepStrictEqual(body.types, ['crop', 'trim', 'split', 'extract']);
+  }
+});
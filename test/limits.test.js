@@ -0,0 +1,55 @@
+// Back-pressure: 503 + Retry-After when the crop worker pool or the job
+// queue is full
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, testImage, postImage, waitForJob } = require('./helpers/server');
+
+let server;
+let image;
+
+before(async () => {
+  // about a second of pixel work per request at upscale=2
+  image = await testImage({ width: 800, height: 800 });
+  server = await startServer({
+    CROP_WORKERS: '1',
+    CROP_QUEUE_MAX: '1',
+    CROP_RETRY_AFTER: '7',
+    JOB_CONCURRENCY: '1',
+    JOB_QUEUE_MAX: '1',
+    JOB_RETRY_AFTER: '9',
+    RESULT_CACHE_MAX_BYTES: '0'
+  });
+});
+
+after(() => server && server.stop());
+
+test('answers 503 with Retry-After when the worker pool queue is full', { timeout: 60000 }, async () => {
+  const responses = await Promise.all([1, 2, 3].map(() => postImage(`${server.url}/crop`, image, { upscale: '2' })));
+  const statuses = responses.map(response => response.status).sort();
+  assert.ok(statuses.includes(503), `statuses ${statuses}`);
+  assert.strictEqual(statuses[0], 200);
+
+  const full = responses.find(response => response.status === 503);
+  assert.strictEqual(full.headers.get('retry-after'), '7');
+  assert.strictEqual((await full.json()).error, 'Server busy');
+  await Promise.all(responses.filter(response => response !== full).map(response => response.arrayBuffer()));
+});
+
+test('answers 503 with Retry-After when the job queue is at JOB_QUEUE_MAX', { timeout: 60000 }, async () => {
+  const submit = () => postImage(`${server.url}/jobs`, image, { type: 'crop', upscale: '2' });
+  const running = await submit();
+  const queued = await submit();
+  assert.strictEqual(running.status, 202);
+  assert.strictEqual(queued.status, 202);
+
+  const full = await submit();
+  assert.strictEqual(full.status, 503);
+  assert.strictEqual(full.headers.get('retry-after'), '9');
+  assert.strictEqual((await full.json()).error, 'Server busy');
+
+  // let both jobs finish so their uploads are removed
+  for (const response of [running, queued]) {
+    const job = await waitForJob(server.url, (await response.json()).id, {}, 30000);
+    assert.strictEqual(job.status, 'done');
+  }
+});
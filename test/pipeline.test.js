@@ -0,0 +1,32 @@
+// Pixel steps of lib/pipeline.js on small hand-made rasters
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { alphaMatting, COLOR_METRICS } = require('../lib/pipeline');
+
+// One row, RGBA: two red foreground pixels, a red/grey edge pixel and two
+// background pixels
+const FG = { r: 200, g: 30, b: 30 };
+const BG = { r: 238, g: 238, b: 238 };
+const EDGE = { r: 219, g: 134, b: 134 };
+
+function mattingRow(colorMetric) {
+  const pixels = [FG, FG, EDGE, BG, BG];
+  const data = Buffer.from(pixels.flatMap(c => [c.r, c.g, c.b, 255]));
+  const mask = Uint8Array.from([0, 0, 0, 1, 1]);
+  const bgDistance = Float32Array.from([100, 100, 50, 0, 0]);
+  const bg = { type: 'flat', colors: [BG], colorAt: () => BG };
+  const result = alphaMatting(data, mask, pixels.length, 1, 4, bg, bgDistance, new Set([2]), 2, 100, colorMetric);
+  return result[2 * 4 + 3];
+}
+
+test('matting estimates alpha in the selected color metric', () => {
+  const alphas = Object.fromEntries(Object.keys(COLOR_METRICS).map(metric => [metric, mattingRow(metric)]));
+
+  // halfway in RGB between foreground and background
+  assert.ok(Math.abs(alphas.rgb - 128) <= 2, `rgb alpha ${alphas.rgb}`);
+  assert.notStrictEqual(alphas.ciede2000, alphas.rgb);
+  assert.notStrictEqual(alphas.cie76, alphas.rgb);
+  for (const [metric, alpha] of Object.entries(alphas)) {
+    assert.ok(alpha > 0 && alpha < 255, `${metric} alpha ${alpha}`);
+  }
+});
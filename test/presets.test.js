@@ -0,0 +1,86 @@
+// Presets: PresetStore (lib/presets.js) and the /presets routes
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PresetStore } = require('../lib/presets');
+const { startServer } = require('./helpers/server');
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'auto-crop-presets-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('keeps __proto__ and constructor as plain preset names', async t => {
+  const file = path.join(await tempDir(t), 'presets.json');
+  const store = new PresetStore(file);
+  await store.set('__proto__', { threshold: '12' });
+  await store.set('constructor', { threshold: '20' });
+
+  const reloaded = new PresetStore(file);
+  assert.deepStrictEqual((await reloaded.list()).map(p => p.name), ['__proto__', 'constructor']);
+  assert.strictEqual((await reloaded.get('__proto__')).params.threshold, '12');
+  assert.strictEqual(await reloaded.get('toString'), null);
+});
+
+test('a failed write is taken back and does not block later writes', async t => {
+  const dir = await tempDir(t);
+  const blocker = path.join(dir, 'data');
+  const store = new PresetStore(path.join(blocker, 'presets.json'));
+  await store.list();
+  // a file where the preset directory should be: writes fail until it is gone
+  await fs.writeFile(blocker, '');
+
+  await assert.rejects(store.set('studio', { threshold: '12' }));
+  assert.strictEqual(await store.get('studio'), null);
+
+  await fs.rm(blocker);
+  await store.set('white', { threshold: '8' });
+  assert.deepStrictEqual((await store.list()).map(p => p.name), ['white']);
+
+  await fs.rename(path.join(blocker, 'presets.json'), path.join(dir, 'saved.json'));
+  await fs.rm(blocker, { recursive: true });
+  await fs.writeFile(blocker, '');
+  await assert.rejects(store.remove('white'));
+  assert.strictEqual((await store.get('white')).params.threshold, '8');
+});
+
+describe('/presets', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server && server.stop());
+
+  const send = (method, route, body) => fetch(`${server.url}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('refuses params that /crop would reject with field errors', async () => {
+    const response = await send('POST', '/presets', { name: 'broken', params: { threshold: 'abc', colorMetric: 'cie1900', upscale: 9 } });
+    assert.strictEqual(response.status, 400);
+    const body = await response.json();
+    assert.strictEqual(body.error, 'Invalid parameters');
+    assert.deepStrictEqual(body.details.map(d => d.field).sort(), ['colorMetric', 'threshold', 'upscale']);
+    assert.strictEqual((await fetch(`${server.url}/presets/broken`)).status, 404);
+  });
+
+  test('refuses an invalid pipeline on PUT', async () => {
+    const response = await send('PUT', '/presets/broken', { params: { pipeline: [{ step: 'sharpen' }] } });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await response.json()).error, 'Invalid pipeline');
+  });
+
+  test('stores params valid for /crop or /extract', async () => {
+    assert.strictEqual((await send('POST', '/presets', { name: 'studio', params: { threshold: 12, matting: true } })).status, 201);
+    assert.strictEqual((await send('PUT', '/presets/objects', { params: { minArea: 1000, output: 'zip' } })).status, 200);
+    const { presets } = await (await fetch(`${server.url}/presets`)).json();
+    assert.deepStrictEqual(presets.map(p => p.name), ['studio', 'objects']);
+  });
+});
@@ -0,0 +1,59 @@
+// Result cache: ResultCache (lib/result-cache.js) and X-Cache on /crop
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ResultCache } = require('../lib/result-cache');
+const { startServer, testImage, postImage } = require('./helpers/server');
+
+test('deletes what a crash mid-write left behind when the directory is scanned', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'auto-crop-cache-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const complete = 'a'.repeat(64);
+  const orphan = 'b'.repeat(64);
+  await fs.writeFile(path.join(dir, `${complete}.bin`), Buffer.alloc(100));
+  await fs.writeFile(path.join(dir, `${complete}.json`), '{}');
+  await fs.writeFile(path.join(dir, `${orphan}.bin`), Buffer.alloc(100)); // crashed before its .json
+  await fs.writeFile(path.join(dir, `${orphan}.json.0123456789abcdef.tmp`), '{');
+  await fs.writeFile(path.join(dir, `${complete}.bin.fedcba9876543210.tmp`), Buffer.alloc(100));
+
+  const cache = new ResultCache(dir, 1024 * 1024);
+  await cache.load();
+  assert.deepStrictEqual((await fs.readdir(dir)).sort(), [`${complete}.bin`, `${complete}.json`]);
+  assert.strictEqual(cache.stats().entries, 1);
+  assert.strictEqual(cache.stats().bytes, 102);
+});
+
+describe('/crop cache', () => {
+  let server;
+  let image;
+
+  before(async () => {
+    image = await testImage();
+    server = await startServer();
+  });
+
+  after(() => server && server.stop());
+
+  const cacheStats = async () => (await (await fetch(`${server.url}/status`)).json()).cache;
+
+  test('answers a repeated identical request from the cache', async () => {
+    const first = await postImage(`${server.url}/crop`, image, { threshold: '10' });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers.get('x-cache'), 'MISS');
+    const firstBody = Buffer.from(await first.arrayBuffer());
+    const before = await cacheStats();
+
+    const second = await postImage(`${server.url}/crop`, image, { threshold: '10' });
+    assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+    assert.deepStrictEqual(Buffer.from(await second.arrayBuffer()), firstBody);
+    const after = await cacheStats();
+    assert.strictEqual(after.hits, before.hits + 1);
+    assert.strictEqual(after.misses, before.misses);
+
+    const other = await postImage(`${server.url}/crop`, image, { threshold: '11' });
+    assert.strictEqual(other.headers.get('x-cache'), 'MISS');
+    await other.arrayBuffer();
+  });
+});
@@ -0,0 +1,31 @@
+// POST /split layouts
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, testImage, postImage } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server && server.stop());
+
+test('splits a grid into named cells', async () => {
+  const image = await testImage({ width: 40, height: 20 });
+  const response = await postImage(`${server.url}/split`, image, { layout: 'grid:1x2', skipEmpty: 'false' });
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.deepStrictEqual(body.panels.map(panel => panel.name), ['r1c1', 'r1c2']);
+});
+
+test('refuses a grid with more cells than the image has pixels', async () => {
+  const image = await testImage({ width: 4, height: 3 });
+  for (const layout of ['grid:4x2', 'grid:2x5']) {
+    const response = await postImage(`${server.url}/split`, image, { layout });
+    assert.strictEqual(response.status, 400, layout);
+    const body = await response.json();
+    assert.strictEqual(body.error, 'Invalid parameters');
+    assert.strictEqual(body.details[0].field, 'layout');
+  }
+});
@@ -0,0 +1,65 @@
+// Only the web UI is served as a file: the data directory (cached results,
+// presets, usage) must not be reachable over HTTP
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { ROOT, startServer } = require('./helpers/server');
+
+const DATA_DIR = path.join(ROOT, 'data');
+
+let server;
+let baseUrl;
+const probes = [];
+
+// A file with random content under data/, removed after the tests
+async function writeProbe(relative) {
+  const file = path.join(DATA_DIR, relative);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, crypto.randomBytes(16));
+  probes.push(file);
+  return file;
+}
+
+before(async () => {
+  server = await startServer();
+  baseUrl = server.url;
+});
+
+after(async () => {
+  if (server) await server.stop();
+  await Promise.all(probes.map(file => fs.rm(file, { force: true })));
+});
+
+test('serves the web UI', async () => {
+  const response = await fetch(`${baseUrl}/`);
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/html/);
+});
+
+test('does not serve cached results', async () => {
+  const key = crypto.randomBytes(16).toString('hex');
+  await writeProbe(`cache/${key}.bin`);
+  await writeProbe(`cache/${key}.json`);
+  for (const file of [`${key}.bin`, `${key}.json`]) {
+    const response = await fetch(`${baseUrl}/data/cache/${file}`);
+    assert.strictEqual(response.status, 404, `/data/cache/${file}`);
+  }
+});
+
+test('does not serve the usage or preset files', async () => {
+  const name = `probe-${crypto.randomBytes(8).toString('hex')}.json`;
+  await writeProbe(name);
+  for (const file of ['usage.json', 'presets.json', name]) {
+    const response = await fetch(`${baseUrl}/data/${file}`);
+    assert.strictEqual(response.status, 404, `/data/${file}`);
+  }
+});
+
+test('does not serve the sources', async () => {
+  for (const file of ['improved-server.js', 'package.json', 'lib/api-keys.js']) {
+    const response = await fetch(`${baseUrl}/${file}`);
+    assert.strictEqual(response.status, 404, `/${file}`);
+  }
+});
@@ -0,0 +1,150 @@
+// Job callbacks: deliverWebhook (lib/webhooks.js) and callbackUrl on the server
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { deliverWebhook } = require('../lib/webhooks');
+const { startServer, testImage, postImage } = require('./helpers/server');
+
+// Records every request; answers with the next status in `statuses`, then 200
+let receiver;
+let receiverUrl;
+let received = [];
+let statuses = [];
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+const reset = () => {
+  received = [];
+  statuses = [];
+};
+
+const expectedSignature = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex')}`;
+
+test('signs the timestamp and body with the secret', async () => {
+  reset();
+  const body = JSON.stringify({ event: 'job.done' });
+  const { delivered } = await deliverWebhook(receiverUrl, { body, secret: 's3cret', headers: { 'Content-Type': 'application/json' } });
+  assert.strictEqual(delivered, true);
+
+  const [{ headers }] = received;
+  const timestamp = headers['x-webhook-timestamp'];
+  assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+  assert.strictEqual(headers['x-signature-256'], expectedSignature('s3cret', timestamp, body));
+  assert.notStrictEqual(headers['x-signature-256'], expectedSignature('other', timestamp, body));
+});
+
+test('signs binary bodies as sent', async () => {
+  reset();
+  const body = crypto.randomBytes(64);
+  await deliverWebhook(receiverUrl, { body, secret: 's3cret' });
+  const [request] = received;
+  assert.deepStrictEqual(request.body, body);
+  assert.strictEqual(request.headers['x-signature-256'], expectedSignature('s3cret', request.headers['x-webhook-timestamp'], body));
+});
+
+test('sends no signature without a secret', async () => {
+  reset();
+  await deliverWebhook(receiverUrl, { body: '{}' });
+  assert.strictEqual(received[0].headers['x-signature-256'], undefined);
+  assert.strictEqual(received[0].headers['x-webhook-timestamp'], undefined);
+});
+
+test('retries a 5xx answer with the same webhook id', async () => {
+  reset();
+  statuses = [503, 500];
+  const { delivered, attempts } = await deliverWebhook(receiverUrl, { body: '{}', baseDelayMs: 10, maxDelayMs: 20 });
+  assert.strictEqual(delivered, true);
+  assert.deepStrictEqual(attempts.map(a => a.status), [503, 500, 200]);
+  assert.deepStrictEqual(received.map(r => r.headers['x-webhook-attempt']), ['1', '2', '3']);
+  assert.strictEqual(new Set(received.map(r => r.headers['x-webhook-id'])).size, 1);
+});
+
+test('stops at a 4xx answer and after maxAttempts', async () => {
+  reset();
+  statuses = [404];
+  const refused = await deliverWebhook(receiverUrl, { body: '{}', baseDelayMs: 10 });
+  assert.strictEqual(refused.delivered, false);
+  assert.strictEqual(refused.attempts.length, 1);
+
+  reset();
+  statuses = [500, 500, 500];
+  const failing = await deliverWebhook(receiverUrl, { body: '{}', maxAttempts: 2, baseDelayMs: 10 });
+  assert.strictEqual(failing.delivered, false);
+  assert.strictEqual(received.length, 2);
+});
+
+describe('job callbacks through the server', () => {
+  let server;
+  let image;
+
+  before(async () => {
+    image = await testImage();
+    server = await startServer({
+      CALLBACK_URL_HOSTS: new URL(receiverUrl).host,
+      WEBHOOK_SECRET: 's3cret',
+      WEBHOOK_RETRY_BASE_MS: '10',
+      WEBHOOK_RETRY_MAX_MS: '20'
+    });
+  });
+
+  after(() => server && server.stop());
+
+  test('delivers a signed callback for a finished job, retrying a 5xx', { timeout: 15000 }, async () => {
+    reset();
+    statuses = [502];
+    const response = await postImage(`${server.url}/jobs`, image, { type: 'crop', callbackUrl: receiverUrl });
+    assert.strictEqual(response.status, 202);
+    const { id } = await response.json();
+
+    let job;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      job = await (await fetch(`${server.url}/jobs/${id}`)).json();
+    } while (job.callback.status !== 'delivered' && job.callback.status !== 'failed');
+
+    assert.strictEqual(job.callback.status, 'delivered');
+    assert.deepStrictEqual(job.callback.attempts.map(a => a.status), [502, 200]);
+    const last = received[received.length - 1];
+    assert.strictEqual(last.headers['x-signature-256'], expectedSignature('s3cret', last.headers['x-webhook-timestamp'], last.body));
+    const payload = JSON.parse(last.body);
+    assert.strictEqual(payload.event, 'job.done');
+    assert.strictEqual(payload.job.id, id);
+  });
+
+  test('refuses a bad callbackUrl or callbackPayload with field errors', async () => {
+    const cases = [
+      [{ callbackUrl: 'ftp://example.com/hook' }, 'callbackUrl'],
+      [{ callbackUrl: 'http://' }, 'callbackUrl'],
+      [{ callbackUrl: receiverUrl, callbackPayload: 'xml' }, 'callbackPayload']
+    ];
+    for (const [fields, field] of cases) {
+      const response = await postImage(`${server.url}/crop`, image, fields);
+      assert.strictEqual(response.status, 400, JSON.stringify(fields));
+      const body = await response.json();
+      assert.strictEqual(body.error, 'Invalid parameters');
+      assert.deepStrictEqual(body.details.map(d => d.field), [field]);
+    }
+  });
+
+  test('refuses a host outside CALLBACK_URL_HOSTS with 403', async () => {
+    const response = await postImage(`${server.url}/crop`, image, { callbackUrl: 'http://169.254.169.254/latest' });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).error, 'Callback host not allowed');
+  });
+});